@@ -0,0 +1,116 @@
+const Rental = require("../models/RentalModel");
+const Instrument = require("../models/InstrumentModel");
+const { notifyUser } = require("../utils/notifications");
+const { broadcastRentalChange } = require("../utils/rooms");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Late fee for a rental at `now`: every started day past endDate is charged
+// at the daily equivalent of the agreed quote. Rentals without a quote
+// accrue nothing.
+const computeLateFee = (rental, now) => {
+  const overdueMs = now - rental.endDate;
+  if (!rental.quote || overdueMs <= 0) return 0;
+
+  const { quote } = rental;
+  const periodMs = Instrument.PRICING_PERIODS[quote.period];
+  const dailyRate = periodMs
+    ? (quote.rate * DAY_MS) / periodMs
+    : quote.rentalAmount /
+      Math.max(1, Math.ceil((rental.endDate - rental.startDate) / DAY_MS));
+
+  const overdueDays = Math.ceil(overdueMs / DAY_MS);
+  return Math.round(dailyRate * overdueDays * 100) / 100;
+};
+
+// Periodically marks active rentals past their endDate as overdue, notifies
+// both parties once, and keeps the accrued late fee of every overdue rental
+// up to date. `now` can be replaced to run the job against a fixed clock.
+const createOverdueRentalJob = ({
+  io,
+  now = () => new Date(),
+  intervalMs = 15 * 60 * 1000,
+} = {}) => {
+  let timer = null;
+
+  const runOnce = async () => {
+    const current = now();
+
+    const newlyOverdue = await Rental.find({
+      status: "active",
+      endDate: { $lt: current },
+    }).populate("instrumentId", "instrumentName");
+
+    let marked = 0;
+    for (const rental of newlyOverdue) {
+      const updated = await Rental.transition(
+        rental._id,
+        ["active"],
+        "overdue",
+        { note: "Past expected return date", at: current }
+      );
+      if (!updated) continue; // returned in the meantime
+      marked++;
+      broadcastRentalChange(io, updated);
+
+      const name = rental.instrumentId?.instrumentName || "An instrument";
+      const data = {
+        rentalId: rental._id,
+        instrumentId: rental.instrumentId?._id,
+      };
+      await notifyUser(io, rental.renterId, {
+        type: "rental_overdue",
+        message: `${name} was due back on ${rental.endDate.toDateString()}. Late fees are accruing.`,
+        data,
+      });
+      await notifyUser(io, rental.ownerId, {
+        type: "rental_overdue",
+        message: `${name} has not been returned and is now overdue.`,
+        data,
+      });
+    }
+
+    const overdue = await Rental.find({ status: "overdue" });
+    for (const rental of overdue) {
+      await Rental.updateOne(
+        { _id: rental._id, status: "overdue" },
+        { lateFee: computeLateFee(rental, current), lateFeeUpdatedAt: current }
+      );
+    }
+
+    return { marked, updated: overdue.length };
+  };
+
+  let running = false;
+  let inFlight = false;
+
+  // The next run is scheduled only once this one has finished, so a slow run
+  // never overlaps the next and notifies twice
+  const tick = async () => {
+    inFlight = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error("Overdue rental job failed:", error);
+    }
+    inFlight = false;
+    if (running) timer = setTimeout(tick, intervalMs);
+  };
+
+  return {
+    runOnce,
+    start() {
+      if (running) return;
+      running = true;
+      // A run still finishing after stop() schedules the next one itself
+      if (!inFlight) tick();
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports = { createOverdueRentalJob, computeLateFee };
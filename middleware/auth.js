@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const FormDataModel = require("../models/FormData");
+const Session = require("../models/SessionModel");
+const { sendError } = require("../utils/errors");
+const { hashToken } = require("../utils/userTokens");
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error("JWT_SECRET environment variable is not set");
+}
+
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Skip the lastUsedAt write when the session was touched this recently
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Error with the HTTP status the route should answer with
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Access tokens carry the session id so revoking the session revokes them
+const signToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: String(sessionId) }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Returns the token payload; throws a JsonWebTokenError
+// (or TokenExpiredError) when the token is invalid
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Start a session for a user who just logged in.
+// Resolves to { token, refreshToken, session }.
+const createSession = async (userId, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: String(userId),
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return { token: signToken(userId, session._id), refreshToken, session };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Each refresh token
+// works once; presenting an already rotated one revokes the whole session,
+// since either the client or an attacker holds a stolen copy.
+const rotateRefreshToken = async (refreshToken) => {
+  if (!refreshToken) throw new AuthError("Refresh token is required", 400);
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: now },
+      $push: { previousTokenHashes: presentedHash },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: presentedHash, revokedAt: null },
+      { revokedAt: now, revokedReason: "reuse_detected" }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}`);
+    }
+    throw new AuthError("Invalid refresh token");
+  }
+
+  return {
+    token: signToken(session.userId, session._id),
+    refreshToken: nextToken,
+    session,
+  };
+};
+
+// Why a user may not use their account right now, or null when they may.
+// A suspension lifts itself once suspendedUntil has passed.
+const accountRestriction = (user, now = new Date()) => {
+  if (user.accountStatus === "banned") return "Account has been banned";
+  if (user.accountStatus === "suspended" && user.suspendedUntil > now) {
+    return `Account is suspended until ${user.suspendedUntil.toISOString()}`;
+  }
+  return null;
+};
+
+const revokeSession = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+const revokeRefreshToken = (refreshToken, reason) =>
+  revokeSession({ tokenHash: hashToken(refreshToken) }, reason);
+
+// Resolve an access token to { user, session }, throwing an AuthError when
+// the token is invalid, expired, its session has been revoked or the account
+// is suspended or banned
+const resolveAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw new AuthError(
+      error.name === "TokenExpiredError" ? "Token expired" : "Invalid token"
+    );
+  }
+
+  const session =
+    decoded.sid &&
+    mongoose.Types.ObjectId.isValid(decoded.sid) &&
+    (await Session.findOne({
+      _id: decoded.sid,
+      userId: decoded.userId,
+      revokedAt: null,
+    }));
+  if (!session) throw new AuthError("Session has been revoked");
+
+  const user = await FormDataModel.findOne({
+    userId: decoded.userId,
+  }).select("-password");
+  if (!user) throw new AuthError("Unauthorized");
+
+  const restriction = accountRestriction(user);
+  if (restriction) throw new AuthError(restriction, 403);
+
+  if (Date.now() - session.lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  return { user, session };
+};
+
+// Requires "Authorization: Bearer <token>". On success sets req.userId
+// (FormDataModel.userId), req.user (the user without password) and
+// req.sessionId.
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return sendError(res, 401, "Unauthorized");
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveAccessToken(token);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendError(res, error.status, error.message);
+    }
+    return next(error);
+  }
+
+  req.user = resolved.user;
+  req.userId = String(resolved.user.userId);
+  req.sessionId = String(resolved.session._id);
+  next();
+};
+
+// Use after authenticate. Admins pass every role check.
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (req.user.role === "Admin" || roles.includes(req.user.role)) {
+      return next();
+    }
+    sendError(res, 403, "Forbidden");
+  };
+
+module.exports = {
+  AuthError,
+  accountRestriction,
+  authenticate,
+  authorize,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+  resolveAccessToken,
+  verifyToken,
+};
@@ -0,0 +1,37 @@
+const { sendError } = require("../utils/errors");
+const { uploadedFiles } = require("./validate");
+const {
+  detectImageType,
+  isDecodable,
+  storeImage,
+  removeUploadedFiles,
+} = require("../utils/images");
+
+// Run after multer (memory storage) and validate. Checks that every upload
+// really is an image, then stores its processed sizes and sets file.filename
+// to the stored name, as multer's disk storage did.
+const processImages = async (req, res, next) => {
+  const stored = [];
+  try {
+    for (const file of uploadedFiles(req)) {
+      if (!detectImageType(file.buffer) || !(await isDecodable(file.buffer))) {
+        await removeUploadedFiles(stored);
+        return sendError(res, 400, "Only image files are allowed!", [
+          {
+            field: file.fieldname,
+            message: "must be a JPEG, PNG, GIF or WebP image",
+          },
+        ]);
+      }
+
+      file.filename = await storeImage(file.buffer);
+      stored.push(file.filename);
+    }
+    next();
+  } catch (error) {
+    await removeUploadedFiles(stored);
+    next(error);
+  }
+};
+
+module.exports = { processImages };
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { sendError } = require("../utils/errors");
+
+// Declarative request validation.
+//
+//   validate({
+//     email: { type: "email", required: true },
+//     slots: { type: "integer", min: 1 },
+//     role: { type: "enum", values: ["Artist", "Musician"] },
+//   })
+//
+// Types: string, email, phone, url, number, integer, boolean, date, objectId,
+// enum, list (array of strings, or one comma-separated string). `min`/`max`
+// bound string length, numeric value or list size. Values are
+// trimmed/coerced (multipart bodies send numbers as strings), and fields not
+// in the schema are dropped, so handlers only ever see declared fields.
+// Empty and whitespace-only strings count as missing.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9\s\-()]{6,19}$/;
+
+// Each checker returns [value] when valid or [undefined, message] when not
+const checkers = {
+  string: (value) =>
+    typeof value === "string"
+      ? [value.trim()]
+      : [undefined, "must be a string"],
+
+  email: (value) =>
+    typeof value === "string" && EMAIL_PATTERN.test(value.trim())
+      ? [value.trim().toLowerCase()]
+      : [undefined, "must be a valid email address"],
+
+  phone: (value) =>
+    typeof value === "string" && PHONE_PATTERN.test(value.trim())
+      ? [value.trim()]
+      : [undefined, "must be a valid phone number"],
+
+  url: (value) => {
+    try {
+      const url = new URL(String(value).trim());
+      if (url.protocol === "http:" || url.protocol === "https:") {
+        return [url.toString()];
+      }
+    } catch (error) {
+      // fall through
+    }
+    return [undefined, "must be a valid http(s) URL"];
+  },
+
+  number: (value) => {
+    const number = typeof value === "string" ? Number(value) : value;
+    return typeof number === "number" && isFinite(number)
+      ? [number]
+      : [undefined, "must be a number"];
+  },
+
+  integer: (value) => {
+    const [number, message] = checkers.number(value);
+    if (message) return [undefined, message];
+    return Number.isInteger(number)
+      ? [number]
+      : [undefined, "must be a whole number"];
+  },
+
+  boolean: (value) => {
+    if (value === true || value === "true") return [true];
+    if (value === false || value === "false") return [false];
+    return [undefined, "must be true or false"];
+  },
+
+  date: (value) => {
+    const date = new Date(value);
+    return typeof value !== "boolean" && !isNaN(date)
+      ? [date]
+      : [undefined, "must be a valid date"];
+  },
+
+  objectId: (value) =>
+    typeof value === "string" && mongoose.Types.ObjectId.isValid(value)
+      ? [value]
+      : [undefined, "must be a valid ID"],
+
+  list: (value) => {
+    if (!Array.isArray(value) && typeof value !== "string") {
+      return [undefined, "must be a list of strings"];
+    }
+    const items = Array.isArray(value) ? value : value.split(",");
+    if (!items.every((item) => typeof item === "string")) {
+      return [undefined, "must be a list of strings"];
+    }
+    return [items.map((item) => item.trim()).filter(Boolean)];
+  },
+
+  enum: (value, rule) =>
+    rule.values.includes(value)
+      ? [value]
+      : [undefined, `must be one of: ${rule.values.join(", ")}`],
+};
+
+const checkBounds = (value, rule) => {
+  const size =
+    typeof value === "string" || Array.isArray(value) ? value.length : value;
+  const unit =
+    typeof value === "string"
+      ? " characters"
+      : Array.isArray(value)
+        ? " items"
+        : "";
+  if (rule.min !== undefined && size < rule.min) {
+    return `must be at least ${rule.min}${unit}`;
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    return `must be at most ${rule.max}${unit}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || "has an invalid format";
+  }
+  return null;
+};
+
+// Check `input` against `schema`. Returns { value, errors }.
+const validateObject = (schema, input = {}) => {
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    if (
+      raw === undefined ||
+      raw === null ||
+      (typeof raw === "string" && raw.trim() === "")
+    ) {
+      if (rule.required)
+        errors.push({ field, message: `${field} is required` });
+      else if (rule.default !== undefined) value[field] = rule.default;
+      continue;
+    }
+
+    const [parsed, typeError] = checkers[rule.type](raw, rule);
+    const message = typeError || checkBounds(parsed, rule);
+    if (message) {
+      errors.push({ field, message: `${field} ${message}` });
+    } else {
+      value[field] = parsed;
+    }
+  }
+
+  return { value, errors };
+};
+
+// Files multer stored for this request (single, array or fields upload)
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+};
+
+// Middleware validating req[source] ("body", "query" or "params") and
+// replacing it with the cleaned value. Run it after multer for multipart
+// routes; uploaded files already on disk are deleted when validation fails.
+const validate =
+  (schema, source = "body") =>
+  (req, res, next) => {
+    const { value, errors } = validateObject(schema, req[source]);
+
+    if (errors.length) {
+      uploadedFiles(req)
+        .filter((file) => file.path)
+        .forEach((file) => fs.unlink(file.path, () => {}));
+      return sendError(res, 400, "Validation failed", errors);
+    }
+
+    req[source] = value;
+    next();
+  };
+
+// The same rules with nothing required and no defaults, for partial updates
+// where omitted fields keep their stored value
+const partial = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([field, rule]) => {
+      const { required, default: _default, ...rest } = rule;
+      return [field, rest];
+    })
+  );
+
+module.exports = { validate, validateObject, partial, uploadedFiles };
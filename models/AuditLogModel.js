@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Append-only record of moderation actions. Entries are never updated.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: { type: String, required: true }, // admin userId
+    action: { type: String, required: true }, // e.g. user.suspend, post.remove, report.dismiss
+    targetType: { type: String, required: true },
+    targetId: { type: String, required: true },
+    reason: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
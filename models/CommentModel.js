@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Comments on a post. Replies point at their parent comment; top-level
+// comments have parentId null.
+const commentSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: { type: Number, default: 0 }, // 0 for top-level comments
+    userId: { type: String, required: true }, // FormDataModel.userId
+    userName: { type: String, required: true },
+    message: { type: String, default: "" },
+    likedUsers: [{ type: String }],
+    replyCount: { type: Number, default: 0 },
+    editedAt: { type: Date },
+    // Comments with replies are blanked instead of removed to keep the thread
+    deleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ postId: 1, parentId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Comment", commentSchema);
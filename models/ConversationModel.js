@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One-to-one conversation, optionally about an instrument or event listing.
+// There is at most one conversation per pair of users and context.
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: [{ type: String, required: true }], // two FormDataModel.userIds, sorted
+    context: {
+      type: { type: String, enum: ["instrument", "event"] },
+      id: { type: mongoose.Schema.Types.ObjectId },
+      title: { type: String }, // listing name when the conversation started
+    },
+    // "<userA>:<userB>|<contextType>:<contextId>", enforces uniqueness
+    key: { type: String, required: true, unique: true },
+    lastMessage: {
+      text: { type: String },
+      senderId: { type: String },
+      at: { type: Date },
+    },
+    unreadCounts: { type: Map, of: Number, default: {} }, // userId -> unread messages
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { FREQUENCIES } = require("../utils/recurrence");
+const { imageUrls } = require("../utils/images");
+
+// A recurring event. Its occurrences are stored as ordinary Event documents
+// (with seriesId set), each with its own slots, RSVPs and tickets; the
+// fields here are the template they are created from.
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    genre: { type: String, required: true },
+    host: { type: String, required: true },
+    image: { type: String },
+    description: { type: String, required: true },
+    location: { type: String, required: true },
+    slots: { type: Number, required: true },
+    link: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" },
+    startDate: { type: Date, required: true }, // first occurrence, sets the time of day
+    recurrence: {
+      frequency: { type: String, enum: FREQUENCIES, required: true },
+      interval: { type: Number, default: 1, min: 1 },
+      until: { type: Date },
+      count: { type: Number, min: 1 },
+      exceptions: [{ type: Date }], // days the host chose to skip
+      // Days of occurrences deleted on their own. Kept apart from exceptions,
+      // which series edits replace, so they are never recreated.
+      removed: [{ type: Date }],
+    },
+    cancelledAt: { type: Date, default: null },
+  },
+  { timestamps: true, id: false, toJSON: { virtuals: true } }
+);
+
+// URLs of every generated size of the image
+eventSeriesSchema.virtual("imageUrls").get(function () {
+  return imageUrls(this.image);
+});
+
+eventSeriesSchema.index({ userId: 1 });
+
+module.exports = mongoose.model("EventSeries", eventSeriesSchema);
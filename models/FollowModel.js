@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// followerId follows followingId (both FormDataModel.userId)
+const followSchema = new mongoose.Schema(
+  {
+    followerId: { type: String, required: true },
+    followingId: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+followSchema.index({ followingId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Follow", followSchema);
@@ -2,22 +2,76 @@
 
 const mongoose = require("mongoose");
 
+const ROLES = ["Musician", "Artist", "User", "Admin"];
+const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+// Roles a user may pick at registration; Admin is granted separately
+const SELF_ASSIGNABLE_ROLES = ["Musician", "Artist", "User"];
+// Roles other users can follow
+const FOLLOWABLE_ROLES = ["Musician", "Artist"];
+// Emails match case-insensitively. New addresses are stored lowercased, but
+// older accounts keep the case they were registered with.
+const EMAIL_COLLATION = { locale: "en", strength: 2 };
+
 const FormDataSchema = new mongoose.Schema({
   // userId: { type: String, required: true, unique: true }, // Added userId
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" },
   bookeduser: [{ type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" }],
-  role: { type: String, required: true }, // Musician, Artist, User
+  role: { type: String, enum: ROLES, required: true },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
+  email: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
   password: { type: String, required: true },
   phone: { type: String, required: true },
   address: { type: String, required: true },
   country: { type: String, required: true },
   state: { type: String, required: true },
   description: { type: String, default: "" }, // Only for artists
+  genres: [{ type: String }], // shown in the artist/musician directory
+  followerCount: { type: Number, default: 0 },
+  followingCount: { type: Number, default: 0 },
+  mutedNotificationTypes: [{ type: String }], // see Notification.NOTIFICATION_TYPES
+  calendarToken: { type: String, select: false }, // secret in the user's calendar feed URL
+  // Set by moderators; suspended and banned accounts cannot log in or use tokens
+  accountStatus: { type: String, enum: ACCOUNT_STATUSES, default: "active" },
+  suspendedUntil: { type: Date }, // suspensions lift themselves after this
+  // Rental reviews received as an instrument owner and as a renter
+  ownerRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+  },
+  renterRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+  },
 });
 
+// Back the filters of the artist/musician directory
+FormDataSchema.index({ role: 1, country: 1, state: 1 });
+FormDataSchema.index({ genres: 1 });
+FormDataSchema.index({ userId: 1 });
+FormDataSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+// Also keeps "a@b.c" and "A@b.c" from being registered twice. Databases that
+// already hold such pairs need scripts/migrateEmails.js before it can build.
+FormDataSchema.index(
+  { email: 1 },
+  { unique: true, collation: EMAIL_COLLATION, name: "email_case_insensitive" }
+);
+
+// The account with this email, in any case. `filter` narrows the match.
+FormDataSchema.statics.findByEmail = function (email, filter = {}) {
+  return this.findOne({ ...filter, email }).collation(EMAIL_COLLATION);
+};
+
 const FormDataModel = mongoose.model("log_reg_form", FormDataSchema);
 
+FormDataModel.ROLES = ROLES;
+FormDataModel.ACCOUNT_STATUSES = ACCOUNT_STATUSES;
+FormDataModel.SELF_ASSIGNABLE_ROLES = SELF_ASSIGNABLE_ROLES;
+FormDataModel.FOLLOWABLE_ROLES = FOLLOWABLE_ROLES;
+FormDataModel.EMAIL_COLLATION = EMAIL_COLLATION;
+// Fields that may be shown to other users
+FormDataModel.PUBLIC_FIELDS =
+  "userId role firstName lastName description genres country state followerCount followingCount ownerRating renterRating";
+
 module.exports = FormDataModel;
@@ -1,19 +1,82 @@
 const mongoose = require("mongoose");
+const { imageUrls } = require("../utils/images");
 
-const instrumentSchema = new mongoose.Schema({
-  instrumentName: { type: String, required: true },
-  instrumentDescription: { type: String },
-  category: { type: String, required: true },
-  amount: { type: String },
-  image: { type: String }, // Store image URL or filename
-  userId: { type: String, required: true },
-  userName: { type: String, required: true },
-  address: { type: String },
-  contactNumber: { type: String },
-  status: { type: String, default: "available" },
-  rentedDate: { type: Date },
-  expectedReturnDate: { type: Date },
-  renterId: { type: String },
+// Length of one billing period in milliseconds; "flat" is a single fee
+const PRICING_PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  flat: null,
+};
+
+const pricingSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, required: true, min: 0 },
+    period: {
+      type: String,
+      enum: Object.keys(PRICING_PERIODS),
+      default: "day",
+    },
+    currency: { type: String, default: "INR", uppercase: true },
+    securityDeposit: { type: Number, default: 0, min: 0 },
+    minimumPeriods: { type: Number, default: 1, min: 1 }, // shortest rental, in periods
+  },
+  { _id: false }
+);
+
+// Held while an owner approves a rental of the instrument, so approvals run
+// one at a time (see withApprovalLease in server.js)
+const approvalLeaseSchema = new mongoose.Schema(
+  {
+    id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+const instrumentSchema = new mongoose.Schema(
+  {
+    instrumentName: { type: String, required: true },
+    instrumentDescription: { type: String },
+    category: { type: String, required: true },
+    amount: { type: String }, // Legacy free-form price, superseded by pricing
+    pricing: { type: pricingSchema },
+    image: { type: String }, // Store image URL or filename
+    userId: { type: String, required: true },
+    userName: { type: String, required: true },
+    address: { type: String },
+    contactNumber: { type: String },
+    status: { type: String, default: "available" }, // listing open for bookings
+    // Legacy single-rental fields; bookings now live in the Rental collection
+    rentedDate: { type: Date },
+    expectedReturnDate: { type: Date },
+    renterId: { type: String },
+    approvalLease: { type: approvalLeaseSchema, select: false },
+    rating: {
+      // from renters' reviews, see Review
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+    },
+  },
+  { id: false, toJSON: { virtuals: true } }
+);
+
+// URLs of every generated size of the image
+instrumentSchema.virtual("imageUrls").get(function () {
+  return imageUrls(this.image);
 });
 
-module.exports = mongoose.model("Instrument", instrumentSchema);
+// Back the search/filter/sort options of GET /instruments
+instrumentSchema.index({
+  instrumentName: "text",
+  instrumentDescription: "text",
+});
+instrumentSchema.index({ category: 1, status: 1 });
+instrumentSchema.index({ "pricing.rate": 1 });
+instrumentSchema.index({ userId: 1 });
+
+const Instrument = mongoose.model("Instrument", instrumentSchema);
+
+Instrument.PRICING_PERIODS = PRICING_PERIODS;
+
+module.exports = Instrument;
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    senderId: { type: String, required: true }, // FormDataModel.userId
+    text: { type: String, required: true },
+    readAt: { type: Date, default: null }, // set when the recipient reads it
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ conversationId: 1, _id: -1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Every kind of notification the app sends; users can mute any of them
+const NOTIFICATION_TYPES = [
+  "post_liked",
+  "event_rsvp", // someone RSVP'd to your event
+  "rsvp_promoted", // you moved from the waitlist to confirmed
+  "event_cancelled", // an event you RSVP'd to was removed by its host
+  "rental_requested", // someone wants to rent your instrument
+  "rental_updated", // your rental request was approved, rejected, ...
+  "rental_overdue",
+  "content_removed", // a moderator removed your post, event, ...
+  "content_edited", // a moderator edited your event, instrument, ...
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true }, // recipient (FormDataModel.userId)
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    message: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }, // ids for the client to link to
+    read: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
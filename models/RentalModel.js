@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+
+const RENTAL_STATUSES = [
+  "requested", // waiting for the owner
+  "approved", // owner accepted, dates are reserved
+  "rejected",
+  "cancelled", // withdrawn by the renter, or the instrument was removed
+  "active", // instrument handed over
+  "returned",
+  "overdue", // active past endDate
+];
+
+// Rentals in these states hold their date range on the calendar
+const BLOCKING_RENTAL_STATUSES = ["approved", "active", "overdue"];
+
+const transitionSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: RENTAL_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    actor: { type: String }, // userId of whoever made the change, empty for the system
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+// Price agreed when the rental was requested, frozen so later edits to the
+// instrument's pricing do not change it
+const quoteSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, required: true },
+    period: { type: String, required: true },
+    currency: { type: String, required: true },
+    periods: { type: Number, required: true }, // billed periods
+    rentalAmount: { type: Number, required: true },
+    securityDeposit: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    lineItems: [
+      { label: String, amount: Number, refundable: Boolean, _id: false },
+    ],
+  },
+  { _id: false }
+);
+
+// One document per booking of an instrument for a date range.
+// startDate is inclusive, endDate is exclusive.
+const rentalSchema = new mongoose.Schema(
+  {
+    instrumentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Instrument",
+      required: true,
+    },
+    ownerId: { type: String, required: true }, // Instrument.userId
+    renterId: { type: String, required: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    status: { type: String, enum: RENTAL_STATUSES, default: "requested" },
+    quote: { type: quoteSchema },
+    history: [transitionSchema],
+    returnedAt: { type: Date },
+    lateFee: { type: Number, default: 0 }, // accrued while overdue, final once returned
+    lateFeeUpdatedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+rentalSchema.index({ instrumentId: 1, startDate: 1, endDate: 1 });
+rentalSchema.index({ renterId: 1, status: 1 });
+rentalSchema.index({ ownerId: 1, status: 1 });
+rentalSchema.index({ status: 1, endDate: 1 });
+
+// Atomically move a rental from one of `from` to `to`, recording who did it.
+// `filter` narrows the match (e.g. to the owner), `set` adds extra fields and
+// `at` (default now) timestamps the history entry.
+// Resolves to the updated rental, or null if nothing matched.
+rentalSchema.statics.transition = function (
+  rentalId,
+  from,
+  to,
+  { actor, note, filter = {}, set = {}, at = new Date() } = {}
+) {
+  return this.findOneAndUpdate(
+    { ...filter, _id: rentalId, status: { $in: from } },
+    {
+      $set: { ...set, status: to },
+      $push: { history: { status: to, at, actor, note } },
+    },
+    { new: true }
+  );
+};
+
+const Rental = mongoose.model("Rental", rentalSchema);
+
+Rental.RENTAL_STATUSES = RENTAL_STATUSES;
+Rental.BLOCKING_RENTAL_STATUSES = BLOCKING_RENTAL_STATUSES;
+
+module.exports = Rental;
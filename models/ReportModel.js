@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// What can be reported; targetId is the document _id, or
+// FormDataModel.userId for users
+const REPORT_TARGET_TYPES = ["post", "comment", "event", "instrument", "user"];
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "inappropriate",
+  "fraud", // fake listing or event, scam
+  "other",
+];
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+// A user flagging content for the moderation queue
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: { type: String, required: true }, // FormDataModel.userId
+    targetType: { type: String, enum: REPORT_TARGET_TYPES, required: true },
+    targetId: { type: String, required: true },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, default: "" },
+    status: { type: String, enum: REPORT_STATUSES, default: "open" },
+    resolvedBy: { type: String }, // admin userId
+    resolvedAt: { type: Date },
+    resolutionNote: { type: String },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ reporterId: 1, targetType: 1, targetId: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+Report.REPORT_TARGET_TYPES = REPORT_TARGET_TYPES;
+Report.REPORT_REASONS = REPORT_REASONS;
+Report.REPORT_STATUSES = REPORT_STATUSES;
+
+module.exports = Report;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// What a review is about, and what subjectId holds for each
+const REVIEW_KINDS = [
+  "instrument", // Instrument _id, by the renter after a return
+  "owner", // FormDataModel.userId of the owner, by the renter
+  "renter", // FormDataModel.userId of the renter, by the owner
+  "event", // Event _id, by a confirmed attendee once it has taken place
+];
+
+// One review per reviewer, kind and rental/event; posting again revises it
+const reviewSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: REVIEW_KINDS, required: true },
+    subjectId: { type: String, required: true },
+    contextId: { type: mongoose.Schema.Types.ObjectId, required: true }, // rental or event the review comes from
+    reviewerId: { type: String, required: true }, // FormDataModel.userId
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ kind: 1, contextId: 1, reviewerId: 1 }, { unique: true });
+reviewSchema.index({ kind: 1, subjectId: 1, createdAt: -1 });
+
+// Resolves to { average, count } over all reviews of a subject
+reviewSchema.statics.summarize = async function (kind, subjectId) {
+  const [summary] = await this.aggregate([
+    { $match: { kind, subjectId: String(subjectId) } },
+    {
+      $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } },
+    },
+  ]);
+  return {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary ? summary.count : 0,
+  };
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+
+Review.REVIEW_KINDS = REVIEW_KINDS;
+
+module.exports = Review;
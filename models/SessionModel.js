@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One login on one device. The refresh token itself is never stored, only
+// its SHA-256 hash; previous hashes are kept to detect refresh token reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true }, // FormDataModel.userId
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHashes: { type: [String], default: [] },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String }, // logout, logout_all, reuse_detected, ...
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
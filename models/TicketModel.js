@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const TICKET_STATUSES = [
+  "valid",
+  "checked_in",
+  "void", // the RSVP was cancelled
+];
+
+// One ticket per attendee per event, issued when their RSVP is confirmed.
+// Re-RSVPing after a cancellation revalidates the same ticket.
+const ticketSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    userId: { type: String, required: true }, // FormDataModel.userId
+    attendee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "log_reg_form",
+      required: true,
+    },
+    status: { type: String, enum: TICKET_STATUSES, default: "valid" },
+    checkedInAt: { type: Date },
+    checkedInBy: { type: String }, // userId of the host who scanned it
+  },
+  { timestamps: true }
+);
+
+ticketSchema.index({ eventId: 1, userId: 1 }, { unique: true });
+
+const Ticket = mongoose.model("Ticket", ticketSchema);
+
+Ticket.TICKET_STATUSES = TICKET_STATUSES;
+
+module.exports = Ticket;
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to users (email verification, password reset).
+// Only the SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true }, // FormDataModel.userId
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -1,15 +1,40 @@
 const mongoose = require("mongoose");
+const { imageUrls } = require("../utils/images");
 
-const postSchema = new mongoose.Schema({
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "FormDataModel",
-    required: true,
+// Earlier versions of a post, oldest first
+const revisionSchema = new mongoose.Schema(
+  {
+    message: { type: String, required: true },
+    images: [{ type: String }],
+    editedAt: { type: Date, default: Date.now }, // when this version was replaced
   },
-  userName: { type: String, required: true },
-  message: { type: String, required: true },
-  dateTime: { type: Date, default: Date.now },
-  likedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "FormDataModel" }],
+  { _id: false }
+);
+
+const postSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FormDataModel",
+      required: true,
+    },
+    userName: { type: String, required: true },
+    message: { type: String, required: true },
+    images: [{ type: String }], // filenames in uploads/
+    dateTime: { type: Date, default: Date.now },
+    editedAt: { type: Date }, // set once the post has been edited
+    revisions: { type: [revisionSchema], select: false },
+    likedUsers: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "FormDataModel" },
+    ],
+    commentCount: { type: Number, default: 0 }, // visible comments, kept in sync by the comment routes
+  },
+  { id: false, toJSON: { virtuals: true } }
+);
+
+// URLs of every generated size of each image
+postSchema.virtual("imageUrls").get(function () {
+  return (this.images || []).map(imageUrls);
 });
 
 module.exports = mongoose.model("Post", postSchema);
@@ -1,17 +1,42 @@
 const mongoose = require("mongoose");
+const { imageUrls } = require("../utils/images");
 
-const eventSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  genre: { type: String, required: true },
-  host: { type: String, required: true },
-  image: { type: String, required: false }, // optional image
-  description: { type: String, required: true },
-  location: { type: String, required: true },
-  date: { type: Date, required: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" },
-  slots: { type: Number, required: true },
-  bookeduser: [{ type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" }],
-  link: { type: String, required: true },
+const eventSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    genre: { type: String, required: true },
+    host: { type: String, required: true },
+    image: { type: String, required: false }, // optional image
+    description: { type: String, required: true },
+    location: { type: String, required: true },
+    date: { type: Date, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" },
+    slots: { type: Number, required: true },
+    bookeduser: [{ type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" }],
+    waitlist: [{ type: mongoose.Schema.Types.ObjectId, ref: "log_reg_form" }], // FIFO, promoted on cancellation
+    link: { type: String, required: true },
+    sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE, bumped on every edit
+    seriesId: { type: mongoose.Schema.Types.ObjectId, ref: "EventSeries" }, // set on occurrences of a recurring event
+    detached: { type: Boolean, default: false }, // occurrence edited on its own, series edits skip it
+    rating: {
+      // from attendees' reviews, see Review
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true, id: false, toJSON: { virtuals: true } }
+);
+
+// URLs of every generated size of the image
+eventSchema.virtual("imageUrls").get(function () {
+  return imageUrls(this.image);
 });
 
+// Back the search/filter/sort options of GET /eventsdata
+eventSchema.index({ name: "text", description: "text", host: "text" });
+eventSchema.index({ date: 1 });
+eventSchema.index({ genre: 1, date: 1 });
+eventSchema.index({ location: 1, date: 1 });
+eventSchema.index({ seriesId: 1, date: 1 });
+
 module.exports = mongoose.model("Event", eventSchema);
@@ -0,0 +1,67 @@
+// Lowercase stored emails and build the case-insensitive unique email index
+// (see models/FormData).
+//
+//   node scripts/migrateEmails.js [--dry-run]
+//
+// Accounts whose emails differ only in case cannot be merged automatically.
+// They are listed and nothing is changed until they are resolved by hand.
+// Re-running it is safe.
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const FormDataModel = require("../models/FormData");
+
+// Groups of accounts sharing an email apart from case
+const findCollisions = () =>
+  FormDataModel.aggregate([
+    {
+      $group: {
+        _id: { $toLower: "$email" },
+        accounts: { $push: { userId: "$userId", email: "$email" } },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const collisions = await findCollisions();
+    if (collisions.length) {
+      for (const { _id, accounts } of collisions) {
+        console.log(`${_id}:`);
+        for (const account of accounts) {
+          console.log(`  ${account.userId} ${account.email}`);
+        }
+      }
+      throw new Error(
+        `${collisions.length} emails belong to more than one account; merge or rename them first`
+      );
+    }
+
+    const mixedCase = await FormDataModel.find({
+      email: { $regex: "[A-Z]" },
+    }).select("email");
+    console.log(`${mixedCase.length} emails to lowercase`);
+    if (dryRun) return;
+
+    for (const user of mixedCase) {
+      await FormDataModel.updateOne(
+        { _id: user._id },
+        { email: user.email.toLowerCase() }
+      );
+    }
+    await FormDataModel.createIndexes();
+    console.log("case-insensitive email index is in place");
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("Email migration failed:", error);
+  process.exitCode = 1;
+});
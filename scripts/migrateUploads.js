@@ -0,0 +1,138 @@
+// Move files from a local uploads directory into the configured storage
+// (STORAGE_DRIVER and its settings, see utils/storage) and rewrite image
+// references on events, series, instruments and posts to plain storage keys.
+//
+//   node scripts/migrateUploads.js [--dry-run] [--keep-local] [--from=uploads]
+//
+// Local files are deleted only after every file is copied and every reference
+// rewritten. Re-running it is safe.
+require("dotenv").config();
+
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const Event = require("../models/eventModel");
+const EventSeries = require("../models/EventSeriesModel");
+const Instrument = require("../models/InstrumentModel");
+const Post = require("../models/createPostFormData");
+const { getStorage } = require("../utils/storage");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+// References written before storage keys existed
+const LEGACY_REFERENCE = /(?:^|\/)uploads\/([^/?#]+)/;
+
+// "/uploads/a.jpg", "uploads/a.jpg" or "http://host/uploads/a.jpg" -> "a.jpg"
+const toKey = (value) => {
+  const match = value && LEGACY_REFERENCE.exec(value);
+  return match ? decodeURIComponent(match[1]) : value;
+};
+
+const parseArgs = (args) => ({
+  dryRun: args.includes("--dry-run"),
+  keepLocal: args.includes("--keep-local"),
+  from:
+    args.find((arg) => arg.startsWith("--from="))?.slice("--from=".length) ||
+    "uploads",
+});
+
+const copyFiles = async (storage, from, { dryRun }) => {
+  const entries = await fs.readdir(from, { withFileTypes: true });
+  const files = entries
+    .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+    .map((entry) => entry.name);
+
+  for (const name of files) {
+    if (!dryRun) {
+      await storage.put(name, await fs.readFile(path.join(from, name)), {
+        contentType:
+          CONTENT_TYPES[path.extname(name).toLowerCase()] ||
+          "application/octet-stream",
+      });
+    }
+    console.log(`${dryRun ? "would copy" : "copied"} ${name}`);
+  }
+  return files;
+};
+
+const rewriteReferences = async ({ dryRun }) => {
+  let rewritten = 0;
+  const legacy = { $regex: LEGACY_REFERENCE.source };
+
+  for (const Model of [Event, EventSeries, Instrument]) {
+    for await (const doc of Model.find({ image: legacy })
+      .select("image")
+      .cursor()) {
+      if (!dryRun) {
+        // Not an edit of the document itself
+        await Model.updateOne(
+          { _id: doc._id },
+          { image: toKey(doc.image) },
+          { timestamps: false }
+        );
+      }
+      rewritten += 1;
+    }
+  }
+
+  for await (const post of Post.find({
+    $or: [{ images: legacy }, { "revisions.images": legacy }],
+  })
+    .select("images +revisions")
+    .cursor()) {
+    if (!dryRun) {
+      await Post.updateOne(
+        { _id: post._id },
+        {
+          images: post.images.map(toKey),
+          revisions: post.revisions.map((revision) => ({
+            ...revision.toObject(),
+            images: revision.images.map(toKey),
+          })),
+        }
+      );
+    }
+    rewritten += 1;
+  }
+
+  console.log(
+    `${dryRun ? "would rewrite" : "rewrote"} references on ${rewritten} documents`
+  );
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const storage = getStorage();
+  if (
+    storage.name === "local" &&
+    path.resolve(storage.dir) === path.resolve(options.from)
+  ) {
+    throw new Error(
+      "The target storage is the source directory; set STORAGE_DRIVER (e.g. s3) to the storage to migrate to"
+    );
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const files = await copyFiles(storage, options.from, options);
+    await rewriteReferences(options);
+
+    if (!options.dryRun && !options.keepLocal) {
+      for (const name of files) await fs.unlink(path.join(options.from, name));
+      console.log(`removed ${files.length} local files`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("Upload migration failed:", error);
+  process.exitCode = 1;
+});
@@ -8,16 +8,79 @@ const multer = require("multer");
 const { Server } = require("socket.io");
 const http = require("http");
 const path = require("path");
+const crypto = require("crypto");
 
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
 
 const FormDataModel = require("./models/FormData");
 const Event = require("./models/eventModel");
 const Post = require("./models/createPostFormData");
 const Instrument = require("./models/InstrumentModel");
-
-const SECRET_KEY = "your_secret_key";
+const Rental = require("./models/RentalModel");
+const Comment = require("./models/CommentModel");
+const Follow = require("./models/FollowModel");
+const Conversation = require("./models/ConversationModel");
+const Message = require("./models/MessageModel");
+const {
+  createOverdueRentalJob,
+  computeLateFee,
+} = require("./jobs/overdueRentals");
+const {
+  parsePagination,
+  paginationInfo,
+  parseSort,
+  listFilter,
+  rangeFilter,
+  escapeRegex,
+} = require("./utils/query");
+const {
+  AuthError,
+  accountRestriction,
+  authenticate,
+  authorize,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+} = require("./middleware/auth");
+const Session = require("./models/SessionModel");
+const { sendMail } = require("./utils/mail");
+const { ApiError, sendError, errorHandler } = require("./utils/errors");
+const { validate, partial } = require("./middleware/validate");
+const { processImages } = require("./middleware/images");
+const { removeUploadedFiles } = require("./utils/images");
+const { getStorage } = require("./utils/storage");
+const { notifyUser } = require("./utils/notifications");
+const Notification = require("./models/NotificationModel");
+const { setupRealtime, getOnlineUserIds } = require("./utils/realtime");
+const {
+  FEED_ROOM,
+  userRoom,
+  eventRoom,
+  instrumentRoom,
+  broadcastRentalChange,
+  broadcastRsvpChange,
+} = require("./utils/rooms");
+const { issueUserToken, consumeUserToken } = require("./utils/userTokens");
+const Ticket = require("./models/TicketModel");
+const { buildCalendar } = require("./utils/ical");
+const EventSeries = require("./models/EventSeriesModel");
+const Review = require("./models/ReviewModel");
+const Report = require("./models/ReportModel");
+const AuditLog = require("./models/AuditLogModel");
+const { recordAudit, resolveReports } = require("./utils/moderation");
+const {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  dayKey,
+  expandRecurrence,
+} = require("./utils/recurrence");
+const {
+  issueTicket,
+  voidTicket,
+  verifyTicketCode,
+  renderTicket,
+} = require("./utils/tickets");
 
 const app = express();
 app.use(express.json());
@@ -41,27 +104,28 @@ mongoose
   .then(() => console.log("MongoDB connected successfully!"))
   .catch((error) => console.error("MongoDB connection error:", error));
 
-// Configure Multer storage and file naming
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/"); // Store images in the "uploads" folder
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const filename = Date.now() + ext; // Append timestamp to avoid name collision
-    cb(null, filename);
-  },
-});
+// Uploads are kept in memory until processImages has checked and
+// re-encoded them; only the processed sizes reach the file storage
+const storage = multer.memoryStorage();
 
-// Multer file filter to accept only images
+// Multer file filter to reject obvious non-images early. processImages
+// checks the actual content.
 const fileFilter = (req, file, cb) => {
-  const fileTypes = /jpeg|jpg|png|gif/;
+  const fileTypes = /jpeg|jpg|png|gif|webp/;
   const mimeType = fileTypes.test(file.mimetype);
   const extName = fileTypes.test(path.extname(file.originalname).toLowerCase());
   if (mimeType && extName) {
     return cb(null, true);
   } else {
-    return cb(new Error("Only image files are allowed!"), false);
+    return cb(
+      new ApiError(400, "Only image files are allowed!", [
+        {
+          field: file.fieldname,
+          message: "must be a JPEG, PNG, GIF or WebP image",
+        },
+      ]),
+      false
+    );
   }
 };
 
@@ -76,7 +140,31 @@ const upload = multer({
 
 app.use(express.json());
 app.use(cors());
-app.use("/uploads", express.static("uploads")); // Serve uploaded files statically
+
+// Upload names are never reused, so browsers and CDNs may cache them forever
+const fileStorage = getStorage();
+if (fileStorage.name === "local") {
+  app.use(
+    "/uploads",
+    express.static(fileStorage.dir, { immutable: true, maxAge: "365d" })
+  );
+}
+
+// Stable link to an uploaded file in storage that is not publicly readable:
+// redirects to a short-lived signed URL
+const SIGNED_URL_TTL_SECONDS = 15 * 60;
+app.get("/files/:key", async (req, res, next) => {
+  try {
+    const url = await getStorage().signedUrl(path.basename(req.params.key), {
+      expiresIn: SIGNED_URL_TTL_SECONDS,
+    });
+    // Let clients reuse the redirect for part of the signature's lifetime
+    res.set("Cache-Control", `private, max-age=${SIGNED_URL_TTL_SECONDS / 3}`);
+    res.redirect(302, url);
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -89,62 +177,169 @@ const io = new Server(server, {
   },
 });
 
-// Optional: log connections
-io.on("connection", (socket) => {
-  console.log("Client connected");
-
-  socket.on("disconnect", () => {
-    console.log("Client disconnected");
-  });
-});
+// Authenticated connections, rooms and presence
+setupRealtime(io);
 
 // Make `io` accessible in routes
 app.set("io", io);
 
+// Send a notification without holding up the request; failures are only logged
+const notify = (req, userId, notification) =>
+  notifyUser(req.app.get("io"), String(userId), notification).catch((error) =>
+    console.error("Error sending notification:", error)
+  );
+
+// Optional ?reason an admin gives for acting on someone else's content
+const moderationReason = (req) =>
+  req.query.reason ? String(req.query.reason).slice(0, 500) : undefined;
+
+// Call after an owner-or-admin DELETE route removed something. When an admin
+// removed someone else's content it is audited (with ?reason), open reports
+// on it are resolved and the owner is told. The removal already happened, so
+// a failure here is logged rather than failing the request.
+const recordContentRemoval = async (
+  req,
+  { targetType, targetId, ownerId, label }
+) => {
+  if (String(ownerId) === req.userId) return;
+
+  const reason = moderationReason(req);
+  try {
+    await recordAudit(req, {
+      action: `${targetType}.remove`,
+      targetType,
+      targetId,
+      reason,
+      details: { ownerId: String(ownerId), label },
+    });
+    await resolveReports(req, targetType, targetId, "Content removed");
+  } catch (error) {
+    console.error("Error recording content removal:", error);
+  }
+
+  notify(req, ownerId, {
+    type: "content_removed",
+    message: `Your ${targetType} "${label}" was removed by a moderator${
+      reason ? `: ${reason}` : ""
+    }`,
+    data: { targetType, targetId },
+  });
+};
+
+// Call after an owner-or-admin PUT route changed something. Admin edits of
+// someone else's content are audited with the changed fields and the owner
+// is told; like removals, failures are only logged.
+const recordContentEdit = async (
+  req,
+  { targetType, targetId, ownerId, label, fields }
+) => {
+  if (String(ownerId) === req.userId) return;
+
+  const reason = moderationReason(req);
+  try {
+    await recordAudit(req, {
+      action: `${targetType}.edit`,
+      targetType,
+      targetId,
+      reason,
+      details: { ownerId: String(ownerId), label, fields },
+    });
+  } catch (error) {
+    console.error("Error recording content edit:", error);
+  }
+
+  notify(req, ownerId, {
+    type: "content_edited",
+    message: `Your ${targetType} "${label}" was edited by a moderator${
+      reason ? `: ${reason}` : ""
+    }`,
+    data: { targetType, targetId },
+  });
+};
+
 // -------------------------------------------------
 
-app.get("/event/:id/booked-users", async (req, res) => {
+// Attendees and waitlist of an event with their contact details, for its
+// host (and admins)
+app.get("/event/:id/booked-users", authenticate, async (req, res) => {
   try {
     const eventId = req.params.id;
 
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(eventId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid event ID",
-      });
+      return sendError(res, 400, "Invalid event ID");
     }
 
-    // Fetch event and populate bookeduser array with selected fields
-    const event = await Event.findById(eventId).populate({
-      path: "bookeduser",
-      select: "firstName lastName email phone",
-    });
+    // Fetch event and populate bookeduser/waitlist arrays with selected fields
+    const event = await Event.findById(eventId).populate([
+      { path: "bookeduser", select: "firstName lastName email phone" },
+      { path: "waitlist", select: "firstName lastName email phone" },
+    ]);
 
     if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: "Event not found",
-      });
+      return sendError(res, 404, "Event not found");
+    }
+    if (!canManage(req, event.userId)) {
+      return sendError(res, 403, "Only the host can see who is attending");
     }
 
-    // bookeduser will be an array of user objects
+    // bookeduser is the confirmed list, waitlist is in promotion order
     res.status(200).json({
       success: true,
       bookedUsers: event.bookeduser,
+      waitlistedUsers: event.waitlist,
+      slots: event.slots,
+      remainingSlots: Math.max(event.slots - event.bookeduser.length, 0),
     });
   } catch (error) {
     console.error("Error fetching booked users:", error);
-    res.status(500).json({
-      success: false,
-      message: `Server error: ${error.message}`,
-    });
+    sendError(res, 500, `Server error: ${error.message}`);
   }
 });
 // -------------------------------------------------
 
+// Links in mails point at the frontend, which calls the API with the token.
+// Calendar feeds take their domain from it too, so a bad value stops the
+// server here with a clear message.
+const APPLICATION_URL = (
+  process.env.APPLICATION_URL || "http://localhost:3000"
+).replace(/\/+$/, "");
+if (!URL.canParse(APPLICATION_URL)) {
+  throw new Error(
+    `APPLICATION_URL must be an absolute URL like https://example.com, got "${APPLICATION_URL}"`
+  );
+}
+
+const sendVerificationMail = async (user) => {
+  const token = await issueUserToken(user.userId, "email_verification");
+  const link = `${APPLICATION_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+};
+
+const registerSchema = {
+  role: {
+    type: "enum",
+    values: FormDataModel.SELF_ASSIGNABLE_ROLES, // Admins are appointed, never self-registered
+    required: true,
+  },
+  firstName: { type: "string", required: true, max: 50 },
+  lastName: { type: "string", required: true, max: 50 },
+  email: { type: "email", required: true, max: 254 },
+  password: { type: "string", required: true, min: 8, max: 128 },
+  phone: { type: "phone", required: true },
+  address: { type: "string", required: true, max: 200 },
+  country: { type: "string", required: true, max: 60 },
+  state: { type: "string", required: true, max: 60 },
+  description: { type: "string", max: 2000 },
+  genres: { type: "list", max: 10 },
+};
+
 // Register User
-app.post("/register", async (req, res) => {
+app.post("/register", validate(registerSchema), async (req, res, next) => {
   try {
     const {
       role,
@@ -157,11 +352,14 @@ app.post("/register", async (req, res) => {
       country,
       state,
       description,
+      genres,
     } = req.body;
 
-    const existingUser = await FormDataModel.findOne({ email });
+    const existingUser = await FormDataModel.findByEmail(email);
     if (existingUser)
-      return res.status(400).json({ message: "User already exists" });
+      return sendError(res, 409, "User already exists", [
+        { field: "email", message: "email is already registered" },
+      ]);
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -177,182 +375,521 @@ app.post("/register", async (req, res) => {
       country,
       state,
       description: role === "Artist" ? description : "",
+      genres,
     });
 
     await newUser.save();
+
+    // Registration succeeds even if the mail cannot be sent; the user can
+    // request a new verification mail later
+    sendVerificationMail(newUser).catch((error) =>
+      console.error("Error sending verification mail:", error)
+    );
+
     res.status(201).json({ message: "User registered successfully" });
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    // A concurrent registration can still hit the unique email index
+    next(error);
   }
 });
 
+const loginSchema = {
+  email: { type: "email", required: true, max: 254 },
+  password: { type: "string", required: true, max: 128 },
+};
+
 // Login User
-app.post("/login", async (req, res) => {
+app.post("/login", validate(loginSchema), async (req, res, next) => {
   try {
     const { email, password } = req.body;
-    const user = await FormDataModel.findOne({ email });
-    if (!user) return res.status(400).json({ message: "Invalid credentials" });
+    const user = await FormDataModel.findByEmail(email);
+    if (!user) return sendError(res, 400, "Invalid credentials");
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
-      return res.status(400).json({ message: "Invalid credentials" });
+    if (!isMatch) return sendError(res, 400, "Invalid credentials");
 
-    const token = jwt.sign({ userId: user.userId }, SECRET_KEY, {
-      expiresIn: "1h",
-    });
+    const restriction = accountRestriction(user);
+    if (restriction) return sendError(res, 403, restriction);
+
+    const { token, refreshToken } = await createSession(user.userId, req);
 
-    res.json({ token });
+    res.json({ token, refreshToken });
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
-app.get("/usernames", async (req, res) => {
+// Tokens from mails and refresh tokens are opaque strings
+const tokenSchema = {
+  token: { type: "string", required: true, max: 512 },
+};
+
+// Confirm an email address with the token from the verification mail
+app.post("/verify-email", validate(tokenSchema), async (req, res, next) => {
   try {
-    // Fetch all users and extract only firstName and lastName (or combine them as a full name)
-    const users = await FormDataModel.find().select("firstName lastName");
+    const record = await consumeUserToken(req.body.token, "email_verification");
+    if (!record) {
+      return sendError(res, 400, "Verification link is invalid or has expired");
+    }
 
-    if (!users || users.length === 0) {
-      return res.status(404).json({ message: "No users found" });
+    await FormDataModel.updateOne(
+      { userId: record.userId },
+      { emailVerified: true }
+    );
+    res.json({ message: "Email verified" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a fresh verification mail to the logged-in user
+app.post("/verify-email/resend", authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return sendError(res, 400, "Email is already verified");
     }
 
-    // Map the users to an array of full names
-    const usernames = users.map((user) => `${user.firstName} ${user.lastName}`);
+    await sendVerificationMail(req.user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error resending verification mail:", error);
+    sendError(res, 500, "Server error");
+  }
+});
 
-    res.json(usernames);
+// Start a password reset. Answers the same whether or not the email is
+// registered so the endpoint cannot be used to probe for accounts.
+app.post(
+  "/forgot-password",
+  validate({ email: { type: "email", required: true, max: 254 } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      const user = await FormDataModel.findByEmail(email);
+
+      if (user) {
+        const token = await issueUserToken(user.userId, "password_reset");
+        const link = `${APPLICATION_URL}/reset-password?token=${token}`;
+        await sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text: `Hi ${user.firstName},\n\nYou can choose a new password here:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`,
+        });
+      }
+
+      res.json({
+        message: "If that email is registered, a reset link has been sent",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const resetPasswordSchema = {
+  ...tokenSchema,
+  password: { type: "string", required: true, min: 8, max: 128 },
+};
+
+// Set a new password with the token from the reset mail. Every existing
+// session is logged out.
+app.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      const record = await consumeUserToken(token, "password_reset");
+      if (!record) {
+        return sendError(res, 400, "Reset link is invalid or has expired");
+      }
+
+      await FormDataModel.updateOne(
+        { userId: record.userId },
+        { password: await bcrypt.hash(password, 10) }
+      );
+      await revokeSession({ userId: record.userId }, "password_reset");
+
+      res.json({ message: "Password has been reset" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const refreshTokenSchema = {
+  refreshToken: { type: "string", required: true, max: 512 },
+};
+
+// Exchange a refresh token for a new token pair (the old one stops working)
+app.post(
+  "/token/refresh",
+  validate(refreshTokenSchema),
+  async (req, res, next) => {
+    try {
+      const { token, refreshToken } = await rotateRefreshToken(
+        req.body.refreshToken
+      );
+      res.json({ token, refreshToken });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return sendError(res, error.status, error.message);
+      }
+      next(error);
+    }
+  }
+);
+
+// Log out of the session the refresh token belongs to. Works without a valid
+// access token so clients can log out after it has expired.
+app.post("/logout", validate(refreshTokenSchema), async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken, "logout");
+    res.json({ message: "Logged out" });
   } catch (error) {
-    console.error("Error fetching usernames:", error);
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
-// Update User Info
-app.put("/user", async (req, res) => {
+// Log out of every device, including this one
+app.post("/logout-all", authenticate, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) return res.status(401).json({ message: "Unauthorized" });
+    const { modifiedCount } = await revokeSession(
+      { userId: req.userId },
+      "logout_all"
+    );
+    res.json({ message: "Logged out of all devices", sessions: modifiedCount });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    sendError(res, 500, "Server error");
+  }
+});
 
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const userId = decoded.userId;
+// Active sessions of the logged-in user
+app.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
 
-    const {
-      firstName,
-      lastName,
-      email,
-      password,
-      country,
-      state,
-      description,
-    } = req.body;
+    res.json(
+      sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    sendError(res, 500, "Server error");
+  }
+});
 
-    const updateData = {
-      firstName,
-      lastName,
-      email,
-      country,
-      state,
-      description,
-    };
+// Revoke one of the logged-in user's sessions
+app.delete("/sessions/:id", authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid session ID");
+    }
 
-    // Hash password if it's being changed
-    if (password) {
-      updateData.password = await bcrypt.hash(password, 10);
+    const { modifiedCount } = await revokeSession(
+      { _id: req.params.id, userId: req.userId },
+      "revoked"
+    );
+    if (!modifiedCount) {
+      return sendError(res, 404, "Session not found");
     }
 
-    const updatedUser = await FormDataModel.findOneAndUpdate(
-      { userId },
-      updateData,
-      { new: true }
-    ).select("-password");
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Directory of artists and musicians
+// Query: q (name), role, country, state, genre (comma lists allowed for role
+// and genre), sort (followers, name; prefix "-" for descending), page, limit
+app.get("/users", async (req, res) => {
+  try {
+    const { q, role, country, state, genre, sort } = req.query;
 
-    if (!updatedUser) {
-      return res.status(404).json({ message: "User not found" });
+    const filter = {
+      role: { $in: FormDataModel.FOLLOWABLE_ROLES },
+      accountStatus: { $ne: "banned" },
+    };
+    if (role) {
+      const roles = String(role)
+        .split(",")
+        .filter((value) => FormDataModel.FOLLOWABLE_ROLES.includes(value));
+      filter.role = { $in: roles };
     }
+    if (country) {
+      filter.country = { $regex: `^${escapeRegex(country)}$`, $options: "i" };
+    }
+    if (state) {
+      filter.state = { $regex: `^${escapeRegex(state)}$`, $options: "i" };
+    }
+    if (genre) filter.genres = listFilter(genre);
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: "i" };
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }];
+    }
+
+    const pagination = parsePagination(req.query);
+    const sortBy = parseSort(
+      sort,
+      { followers: "followerCount", name: "firstName" },
+      { followerCount: -1 }
+    );
+
+    const [users, total] = await Promise.all([
+      FormDataModel.find(filter)
+        .select(FormDataModel.PUBLIC_FIELDS)
+        .sort(sortBy)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      FormDataModel.countDocuments(filter),
+    ]);
 
-    res.json({ message: "Profile updated", user: updatedUser });
+    res.json({ users, pagination: paginationInfo(pagination, total) });
   } catch (error) {
-    console.error("Update error:", error);
-    res.status(500).json({ message: "Server error" });
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
+    }
+    console.error("Error fetching user directory:", error);
+    sendError(res, 500, "Server error");
   }
 });
 
-app.post("/addevent", upload.single("image"), async (req, res) => {
+// Public profile: safe user fields plus recent posts, hosted events and
+// listed instruments. Contact details are never included.
+app.get("/users/:userId", async (req, res) => {
   try {
-    const {
-      name,
-      genre,
-      host,
-      date,
-      description,
-      location,
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+
+    const user = await FormDataModel.findOne({
       userId,
-      slots,
-      link,
-      bookeduser = [], // Default to an empty array if not provided
-    } = req.body;
+      accountStatus: { $ne: "banned" },
+    }).select(FormDataModel.PUBLIC_FIELDS);
+    if (!user) return sendError(res, 404, "User not found");
 
-    // Validate required fields
-    if (
-      !name ||
-      !genre ||
-      !host ||
-      !date ||
-      !description ||
-      !location ||
-      !userId ||
-      !slots ||
-      !link
-    ) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Missing required fields" });
+    const [posts, events, instruments] = await Promise.all([
+      Post.find({ userId }).sort({ dateTime: -1 }).limit(20),
+      Event.find({ userId })
+        .sort({ date: -1 })
+        .limit(20)
+        .select("-bookeduser -waitlist"),
+      Instrument.find({ userId })
+        .sort({ _id: -1 })
+        .limit(20)
+        .select(
+          "-address -contactNumber -renterId -rentedDate -expectedReturnDate"
+        ),
+    ]);
+
+    res.json({ user, posts, events, instruments });
+  } catch (error) {
+    console.error("Error fetching profile:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/usernames", async (req, res) => {
+  try {
+    // Fetch all users and extract only firstName and lastName (or combine them as a full name)
+    const users = await FormDataModel.find().select("firstName lastName");
+
+    if (!users || users.length === 0) {
+      return sendError(res, 404, "No users found");
     }
 
-    // Create the event object
-    const newEvent = new Event({
-      name,
-      genre,
-      host,
-      date,
-      description,
-      location,
-      userId,
-      slots,
-      bookeduser,
-      link,
-      image: req.file ? req.file.filename : null, // Handle the image upload
-    });
+    // Map the users to an array of full names
+    const usernames = users.map((user) => `${user.firstName} ${user.lastName}`);
 
-    // Save the new event to the database
-    await newEvent.save();
-    res.status(201).json({ success: true, event: newEvent });
+    res.json(usernames);
   } catch (error) {
-    console.error("Error adding event:", error);
-    res.status(500).json({ success: false, message: "Failed to add event" });
+    console.error("Error fetching usernames:", error);
+    sendError(res, 500, "Server error");
   }
 });
 
-// GET /eventsdata - Fetch all events
-// Fetch all events with populated userId and bookeduser references
+const updateUserSchema = {
+  firstName: { type: "string", max: 50 },
+  lastName: { type: "string", max: 50 },
+  email: { type: "email", max: 254 },
+  password: { type: "string", min: 8, max: 128 },
+  country: { type: "string", max: 60 },
+  state: { type: "string", max: 60 },
+  description: { type: "string", max: 2000 },
+  genres: { type: "list", max: 10 },
+};
+
+// Update User Info
+app.put(
+  "/user",
+  authenticate,
+  validate(updateUserSchema),
+  async (req, res, next) => {
+    try {
+      const userId = req.userId;
+      const { password, ...updateData } = req.body;
+      const { email } = updateData;
+
+      if (
+        email &&
+        (await FormDataModel.findByEmail(email, { userId: { $ne: userId } }))
+      ) {
+        return sendError(res, 409, "Email is already in use", [
+          { field: "email", message: "email is already in use" },
+        ]);
+      }
+
+      // Hash password if it's being changed
+      if (password) {
+        updateData.password = await bcrypt.hash(password, 10);
+      }
+
+      // A new address has to be verified again
+      const emailChanged = email && email !== req.user.email.toLowerCase();
+      if (emailChanged) updateData.emailVerified = false;
+
+      const updatedUser = await FormDataModel.findOneAndUpdate(
+        { userId },
+        updateData,
+        { new: true }
+      ).select("-password");
+
+      if (!updatedUser) {
+        return sendError(res, 404, "User not found");
+      }
+
+      if (emailChanged) {
+        sendVerificationMail(updatedUser).catch((error) =>
+          console.error("Error sending verification mail:", error)
+        );
+      }
+
+      res.json({ message: "Profile updated", user: updatedUser });
+    } catch (error) {
+      // A concurrent update can still hit the unique email index
+      next(error);
+    }
+  }
+);
+
+const eventSchema = {
+  name: { type: "string", required: true, max: 120 },
+  genre: { type: "string", required: true, max: 50 },
+  host: { type: "string", required: true, max: 100 },
+  date: { type: "date", required: true },
+  description: { type: "string", required: true, max: 5000 },
+  location: { type: "string", required: true, max: 200 },
+  slots: { type: "integer", required: true, min: 1, max: 100000 },
+  link: { type: "url", required: true },
+};
+
+// Only artists and musicians (and admins) host events
+app.post(
+  "/addevent",
+  authenticate,
+  authorize("Artist", "Musician"),
+  upload.single("image"),
+  validate(eventSchema),
+  processImages,
+  async (req, res) => {
+    try {
+      const { name, genre, host, date, description, location, slots, link } =
+        req.body;
+      const userId = req.userId;
+
+      // Create the event object
+      const newEvent = new Event({
+        name,
+        genre,
+        host,
+        date,
+        description,
+        location,
+        userId,
+        slots,
+        link,
+        image: req.file ? req.file.filename : null, // Handle the image upload
+      });
+
+      // Save the new event to the database
+      await newEvent.save();
+      res.status(201).json({ success: true, event: newEvent });
+    } catch (error) {
+      console.error("Error adding event:", error);
+      sendError(res, 500, "Failed to add event");
+    }
+  }
+);
+
+// GET /eventsdata - List events
+// Query: q (text search on name/description/host), genre, location, from/to
+// (event date), series (occurrences of one recurring event), sort (date,
+// name, slots, rating; prefix "-" for descending), page, limit
 app.get("/eventsdata", async (req, res) => {
   try {
-    // Fetch all events and populate the userId and bookeduser fields
-    const events = await Event.find(); // populate bookeduser (e.g., name, email)
+    const { q, genre, location, from, to, series, sort } = req.query;
 
-    if (!events || events.length === 0) {
-      return res
-        .status(404)
-        .json({ success: false, message: "No events found" });
+    const filter = {};
+    if (series) {
+      if (!mongoose.Types.ObjectId.isValid(series)) {
+        return sendError(res, 400, "Invalid series ID");
+      }
+      filter.seriesId = series;
+    }
+    if (q) filter.$text = { $search: String(q) };
+    if (genre) filter.genre = listFilter(genre);
+    if (location) {
+      filter.location = { $regex: escapeRegex(location), $options: "i" };
     }
+    const dateRange = rangeFilter(from, to, (value) => new Date(value));
+    if (dateRange) filter.date = dateRange;
+
+    const pagination = parsePagination(req.query);
+    const sortBy = parseSort(
+      sort,
+      {
+        date: "date",
+        name: "name",
+        slots: "slots",
+        rating: "rating.average",
+      },
+      { date: 1 }
+    );
 
-    // Send back the events data
-    res.status(200).json({ success: true, events });
+    const [events, total] = await Promise.all([
+      Event.find(filter)
+        .sort(sortBy)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Event.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      events,
+      pagination: paginationInfo(pagination, total),
+    });
   } catch (error) {
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
+    }
     console.error("Error fetching events:", error);
-    res.status(500).json({
-      success: false,
-      message: `Failed to fetch events: ${error.message}`,
-    });
+    sendError(res, 500, `Failed to fetch events: ${error.message}`);
   }
 });
 
@@ -367,10 +904,7 @@ app.get("/eventsdata/:id", async (req, res) => {
     const event = await Event.findById(eventId); // You can also populate fields if needed
 
     if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: "Event not found",
-      });
+      return sendError(res, 404, "Event not found");
     }
 
     res.status(200).json({
@@ -379,340 +913,3630 @@ app.get("/eventsdata/:id", async (req, res) => {
     });
   } catch (error) {
     console.error("Error fetching event:", error);
-    res.status(500).json({
-      success: false,
-      message: `Failed to fetch event: ${error.message}`,
-    });
+    sendError(res, 500, `Failed to fetch event: ${error.message}`);
   }
 });
 
+// Issue the ticket for a seat that is already taken. Failures are only
+// logged: the ticket is issued again when the attendee first fetches it.
+const issueTicketForSeat = (eventId, user) =>
+  issueTicket(eventId, user).catch((error) => {
+    console.error("Error issuing ticket:", error);
+    return null;
+  });
+
 // RSVP to an event
-app.post("/eventsdata/:id/rsvp", async (req, res) => {
+// The slot check and the push happen in a single findOneAndUpdate so two
+// concurrent RSVPs can never both take the last slot. When the event is full
+// the user is appended to the waitlist instead.
+app.post("/eventsdata/:id/rsvp", authenticate, async (req, res) => {
   const eventId = req.params.id;
-  const { userId } = req.body;
 
   try {
-    const event = await Event.findById(eventId);
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return sendError(res, 400, "Invalid event ID");
+    }
 
-    if (!event) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Event not found" });
+    // bookeduser/waitlist reference the user document so they can be populated
+    const attendeeId = req.user._id;
+    const notAlreadyListed = {
+      _id: eventId,
+      bookeduser: { $ne: attendeeId },
+      waitlist: { $ne: attendeeId },
+    };
+
+    let event = await Event.findOneAndUpdate(
+      {
+        ...notAlreadyListed,
+        $expr: { $lt: [{ $size: "$bookeduser" }, "$slots"] },
+      },
+      { $push: { bookeduser: attendeeId } },
+      { new: true }
+    );
+
+    if (event) {
+      const ticket = await issueTicketForSeat(event._id, req.user);
+      broadcastRsvpChange(req.app.get("io"), event);
+      if (event.userId && String(event.userId) !== req.userId) {
+        notify(req, event.userId, {
+          type: "event_rsvp",
+          message: `${req.user.firstName} ${req.user.lastName} RSVP'd to ${event.name}`,
+          data: { eventId: event._id, userId: req.userId },
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        status: "confirmed",
+        message: "RSVP successful",
+        event,
+        ticket: ticket && (await renderTicket(ticket)),
+      });
     }
 
-    // Check if user already RSVP'd
-    if (event.bookeduser.includes(userId)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "User already RSVP'd" });
+    event = await Event.findOneAndUpdate(
+      notAlreadyListed,
+      { $push: { waitlist: attendeeId } },
+      { new: true }
+    );
+
+    if (event) {
+      broadcastRsvpChange(req.app.get("io"), event);
+      return res.status(200).json({
+        success: true,
+        status: "waitlisted",
+        message: "Event is full, you have been added to the waitlist",
+        position: event.waitlist.length,
+        event,
+      });
     }
 
-    event.bookeduser.push(userId);
-    await event.save();
+    // Neither update matched: either the event is gone or the user is already listed
+    const existing = await Event.findById(eventId);
+    if (!existing) {
+      return sendError(res, 404, "Event not found");
+    }
 
-    res.status(200).json({ success: true, message: "RSVP successful", event });
+    sendError(res, 400, "User already RSVP'd");
   } catch (error) {
     console.error("Error RSVPing:", error);
-    res.status(500).json({ success: false, message: error.message });
+    sendError(res, 500, error.message);
   }
 });
 
-// Get Logged-in User Info
-app.get("/user", async (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) return res.status(401).json({ message: "Unauthorized" });
-
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const user = await FormDataModel.findOne({ userId: decoded.userId }).select(
-      "-password"
-    );
-    if (!user) return res.status(404).json({ message: "User not found" });
+// Move the head of the waitlist into a free slot, guarded by the slot count,
+// and tell the promoted user. Resolves to the updated event, or null when the
+// event is full or nobody is waiting.
+const promoteNextWaitlisted = async (req, eventId) => {
+  const promoted = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      "waitlist.0": { $exists: true },
+      $expr: { $lt: [{ $size: "$bookeduser" }, "$slots"] },
+    },
+    [
+      {
+        $set: {
+          bookeduser: {
+            $concatArrays: ["$bookeduser", { $slice: ["$waitlist", 1] }],
+          },
+          waitlist: {
+            $slice: ["$waitlist", 1, { $size: "$waitlist" }],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (!promoted) return null;
 
-    res.json(user);
-  } catch (error) {
-    res.status(500).json({ message: "Server error" });
+  const promotedUser = await FormDataModel.findById(
+    promoted.bookeduser[promoted.bookeduser.length - 1]
+  ).select("userId");
+  if (promotedUser) {
+    await issueTicketForSeat(promoted._id, promotedUser);
+    notify(req, promotedUser.userId, {
+      type: "rsvp_promoted",
+      message: `A spot opened up: your RSVP to ${promoted.name} is confirmed`,
+      data: { eventId: promoted._id },
+    });
   }
-});
 
-// Create Post with Socket.IO emit
-app.post("/posts", async (req, res) => {
-  const { token, message } = req.body;
+  return promoted;
+};
 
-  if (!token || !message) {
-    return res.status(400).json({ message: "Token and message are required" });
-  }
+// Cancel an RSVP (or leave the waitlist)
+// Freeing a confirmed slot promotes the head of the waitlist.
+app.delete("/eventsdata/:id/rsvp", authenticate, async (req, res) => {
+  const eventId = req.params.id;
 
   try {
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const user = await FormDataModel.findOne({ userId: decoded.userId });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return sendError(res, 400, "Invalid event ID");
+    }
 
-    const newPost = new Post({
-      userId: user.userId,
-      userName: `${user.firstName} ${user.lastName}`,
-      message,
-    });
+    const attendeeId = req.user._id;
 
-    await newPost.save();
+    let event = await Event.findOneAndUpdate(
+      { _id: eventId, bookeduser: attendeeId },
+      { $pull: { bookeduser: attendeeId } },
+      { new: true }
+    );
+    const wasConfirmed = !!event;
 
-    // Emit new post to all connected clients
-    const io = req.app.get("io");
-    io.emit("newPost", newPost);
+    if (!event) {
+      event = await Event.findOneAndUpdate(
+        { _id: eventId, waitlist: attendeeId },
+        { $pull: { waitlist: attendeeId } },
+        { new: true }
+      );
+    }
 
-    res.status(201).json({ post: newPost });
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
+    if (!event) {
+      const existing = await Event.findById(eventId);
+      if (!existing) {
+        return sendError(res, 404, "Event not found");
+      }
+      return sendError(res, 400, "User has not RSVP'd");
+    }
+
+    let promotedUserId = null;
+    if (wasConfirmed) {
+      await voidTicket(eventId, req.userId);
+      const promoted = await promoteNextWaitlisted(req, eventId);
+      if (promoted) {
+        promotedUserId = promoted.bookeduser[promoted.bookeduser.length - 1];
+        event = promoted;
+      }
+    }
+
+    broadcastRsvpChange(req.app.get("io"), event);
+
+    res.status(200).json({
+      success: true,
+      message: wasConfirmed ? "RSVP cancelled" : "Removed from waitlist",
+      promotedUserId,
+      event,
+    });
+  } catch (error) {
+    console.error("Error cancelling RSVP:", error);
+    sendError(res, 500, error.message);
   }
 });
 
-// Get All Posts
-app.get("/posts", async (req, res) => {
-  try {
-    const posts = await Post.find().sort({ dateTime: -1 });
-    res.json(posts);
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
+const canManage = (req, ownerId) =>
+  String(ownerId) === req.userId || req.user.role === "Admin";
+
+// Occurrences of a series share the series image, so only delete files that
+// no event or series refers to any more
+const removeEventImages = async (filenames) => {
+  const unused = [];
+  for (const filename of new Set(filenames.filter(Boolean))) {
+    const inUse =
+      (await Event.exists({ image: filename })) ||
+      (await EventSeries.exists({ image: filename }));
+    if (!inUse) unused.push(filename);
   }
-});
+  await removeUploadedFiles(unused);
+};
 
-// Like/Unlike a post
-app.put("/posts/like/:id", async (req, res) => {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "Unauthorized" });
+const hasAttendees = (event) =>
+  event.bookeduser.length > 0 || event.waitlist.length > 0;
 
-  try {
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const userId = decoded.userId;
+// Delete an event and tell everyone who RSVP'd or is waitlisted that it was
+// cancelled. Without `cancel` it only deletes while nobody is listed, so an
+// RSVP that lands in the meantime is not silently dropped. Resolves to
+// { event, notified }, or null when nothing was deleted.
+const cancelEvent = async (req, eventId, { cancel }) => {
+  const deleted = await Event.findOneAndDelete(
+    cancel
+      ? { _id: eventId }
+      : {
+          _id: eventId,
+          "bookeduser.0": { $exists: false },
+          "waitlist.0": { $exists: false },
+        }
+  );
+  if (!deleted) return null;
 
-    const post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ message: "Post not found" });
+  const attendees = await FormDataModel.find({
+    _id: { $in: [...deleted.bookeduser, ...deleted.waitlist] },
+  }).select("userId");
+  attendees.forEach((attendee) =>
+    notify(req, attendee.userId, {
+      type: "event_cancelled",
+      message: `${deleted.name} on ${deleted.date.toDateString()} has been cancelled`,
+      data: { eventId: deleted._id },
+    })
+  );
 
-    const alreadyLiked = post.likedUsers.some((id) => id.toString() === userId);
+  await Ticket.deleteMany({ eventId: deleted._id });
+  await removeEventImages([deleted.image]);
 
-    if (alreadyLiked) {
-      // Unlike
-      post.likedUsers = post.likedUsers.filter(
-        (id) => id.toString() !== userId
+  req.app
+    .get("io")
+    .to(eventRoom(deleted._id))
+    .emit("eventCancelled", { eventId: deleted._id });
+
+  return { event: deleted, notified: attendees.length };
+};
+
+// Raise an event's slots up to the waitlist, one promotion at a time
+const fillFromWaitlist = async (req, event) => {
+  let promoted;
+  while ((promoted = await promoteNextWaitlisted(req, event._id))) {
+    event = promoted;
+  }
+  return event;
+};
+
+// Hosts (and admins) edit an event. Omitted fields keep their value and a new
+// "image" replaces the old file. Slots cannot drop below the confirmed
+// attendees; extra slots go to the waitlist first. An edited occurrence of a
+// series is detached from it, so later series edits leave it alone.
+app.put(
+  "/eventsdata/:id",
+  authenticate,
+  upload.single("image"),
+  validate(partial(eventSchema)),
+  processImages,
+  async (req, res) => {
+    const newImage = req.file?.filename;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 400, "Invalid event ID");
+      }
+
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 404, "Event not found");
+      }
+      if (!canManage(req, event.userId)) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 403, "You cannot edit this event");
+      }
+
+      const changes = { ...req.body };
+      if (newImage) changes.image = newImage;
+      if (event.seriesId) changes.detached = true;
+
+      // Checked in the update itself so a concurrent RSVP cannot overbook
+      const filter = { _id: event._id };
+      if (changes.slots !== undefined) {
+        filter.$expr = { $lte: [{ $size: "$bookeduser" }, changes.slots] };
+      }
+
+      let updated = await Event.findOneAndUpdate(
+        filter,
+        { $set: changes, $inc: { sequence: 1 } },
+        { new: true, runValidators: true }
       );
-    } else {
-      // Like
-      post.likedUsers.push(userId);
+      if (!updated) {
+        await removeUploadedFiles([newImage]);
+        const current = await Event.findById(event._id);
+        if (!current) return sendError(res, 404, "Event not found");
+        return sendError(res, 409, "Too few slots for confirmed attendees", [
+          {
+            field: "slots",
+            message: `slots must be at least ${current.bookeduser.length}`,
+          },
+        ]);
+      }
+
+      if (newImage) await removeEventImages([event.image]);
+
+      updated = await fillFromWaitlist(req, updated);
+
+      await recordContentEdit(req, {
+        targetType: "event",
+        targetId: event._id,
+        ownerId: event.userId,
+        label: event.name,
+        fields: Object.keys(req.body).concat(newImage ? ["image"] : []),
+      });
+
+      const io = req.app.get("io");
+      io.to(eventRoom(updated._id)).emit("eventUpdated", updated);
+      broadcastRsvpChange(io, updated);
+
+      res.status(200).json({ success: true, event: updated });
+    } catch (error) {
+      console.error("Error updating event:", error);
+      await removeUploadedFiles([newImage]);
+      sendError(res, 500, "Failed to update event");
     }
+  }
+);
 
-    await post.save();
+// Hosts (and admins) delete an event. An event people have RSVP'd to or are
+// waitlisted for is only removed with ?cancel=true, which notifies each of
+// them that it was cancelled.
+app.delete("/eventsdata/:id", authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid event ID");
+    }
 
-    // Emit the updated post to clients
-    const io = req.app.get("io");
-    io.emit("updatePost", post);
+    const event = await Event.findById(req.params.id);
+    if (!event) return sendError(res, 404, "Event not found");
+    if (!canManage(req, event.userId)) {
+      return sendError(res, 403, "You cannot delete this event");
+    }
 
-    res.json({ post });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    const result = await cancelEvent(req, event._id, {
+      cancel: req.query.cancel === "true",
+    });
+    if (!result) {
+      const stillThere = await Event.exists({ _id: event._id });
+      if (!stillThere) return sendError(res, 404, "Event not found");
+      return sendError(
+        res,
+        409,
+        "Event has RSVPs. Delete it with cancel=true to cancel it and notify attendees."
+      );
+    }
+
+    await recordContentRemoval(req, {
+      targetType: "event",
+      targetId: event._id,
+      ownerId: event.userId,
+      label: event.name,
+    });
+
+    // Keep the series from recreating the occurrence
+    if (event.seriesId) {
+      await EventSeries.updateOne(
+        { _id: event.seriesId },
+        { $addToSet: { "recurrence.removed": event.date } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.notified ? "Event cancelled" : "Event deleted",
+      notified: result.notified,
+    });
+  } catch (error) {
+    console.error("Error deleting event:", error);
+    sendError(res, 500, "Failed to delete event");
   }
 });
 
-// Delete Post
-app.delete("/posts/:id", async (req, res) => {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "Unauthorized" });
+// ---------------------------------------------------------------------------
+// Recurring events
 
-  try {
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const userId = decoded.userId;
+const seriesSchema = {
+  ...eventSchema, // date is the first occurrence
+  frequency: { type: "enum", values: FREQUENCIES, required: true },
+  interval: { type: "integer", min: 1, max: 52, default: 1 },
+  until: { type: "date" },
+  count: { type: "integer", min: 1, max: MAX_OCCURRENCES },
+  exceptions: { type: "list", max: MAX_OCCURRENCES }, // days to skip
+};
 
-    const post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ message: "Post not found" });
+const SERIES_TEMPLATE_FIELDS = [
+  "name",
+  "genre",
+  "host",
+  "description",
+  "location",
+  "slots",
+  "link",
+  "image",
+];
+
+// Fields of a new occurrence, copied from its series
+const occurrenceFields = (series) => ({
+  ...Object.fromEntries(
+    SERIES_TEMPLATE_FIELDS.map((field) => [field, series[field]])
+  ),
+  userId: series.userId,
+  seriesId: series._id,
+});
+
+// Merge the rule fields of a validated body into `current`.
+// Returns { recurrence, errors }.
+const parseRecurrence = (body, current = {}) => {
+  const recurrence = { ...current };
+  for (const field of ["frequency", "interval", "until", "count"]) {
+    if (body[field] !== undefined) recurrence[field] = body[field];
+  }
 
-    if (post.userId.toString() !== userId) {
-      return res.status(403).json({ message: "You cannot delete this post" });
+  const errors = [];
+  if (body.exceptions !== undefined) {
+    recurrence.exceptions = body.exceptions.map((value) => new Date(value));
+    if (recurrence.exceptions.some((date) => isNaN(date))) {
+      errors.push({
+        field: "exceptions",
+        message: "exceptions must be a list of dates",
+      });
     }
+  }
+  if (!recurrence.until && !recurrence.count) {
+    errors.push({ field: "until", message: "until or count is required" });
+  }
 
-    await Post.findByIdAndDelete(post._id);
+  return { recurrence, errors };
+};
 
-    // Emit the post deletion event with the post ID
-    const io = req.app.get("io");
-    io.emit("deletePost", post._id);
+// Create a recurring event. Every occurrence is stored as its own event.
+app.post(
+  "/eventseries",
+  authenticate,
+  authorize("Artist", "Musician"),
+  upload.single("image"),
+  validate(seriesSchema),
+  processImages,
+  async (req, res) => {
+    const image = req.file?.filename;
 
-    res.status(200).json({ message: "Post deleted successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    try {
+      const { date, ...fields } = req.body;
+      const { recurrence, errors } = parseRecurrence(req.body);
+      if (errors.length) {
+        await removeUploadedFiles([image]);
+        return sendError(res, 400, "Validation failed", errors);
+      }
+
+      const dates = expandRecurrence(date, recurrence);
+      if (!dates.length) {
+        await removeUploadedFiles([image]);
+        return sendError(res, 400, "The recurrence has no occurrences");
+      }
+
+      const series = await EventSeries.create({
+        ...Object.fromEntries(
+          SERIES_TEMPLATE_FIELDS.map((field) => [field, fields[field]])
+        ),
+        image,
+        userId: req.userId,
+        startDate: date,
+        recurrence,
+      });
+      const events = await Event.insertMany(
+        dates.map((occurrence) => ({
+          ...occurrenceFields(series),
+          date: occurrence,
+        }))
+      );
+
+      res.status(201).json({ success: true, series, events });
+    } catch (error) {
+      console.error("Error adding event series:", error);
+      await removeUploadedFiles([image]);
+      sendError(res, 500, "Failed to add event series");
+    }
+  }
+);
+
+// A series with all its occurrences, oldest first
+app.get("/eventseries/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid series ID");
+    }
+
+    const series = await EventSeries.findById(req.params.id);
+    if (!series) return sendError(res, 404, "Series not found");
+
+    const events = await Event.find({ seriesId: series._id }).sort({
+      date: 1,
+    });
+    res.status(200).json({ success: true, series, events });
+  } catch (error) {
+    console.error("Error fetching event series:", error);
+    sendError(res, 500, "Failed to fetch event series");
   }
 });
 
-app.post("/addnewinstrument", upload.single("image"), async (req, res) => {
+// Edit a whole series. Field changes apply to upcoming occurrences that were
+// not edited on their own. Rule changes add and remove upcoming occurrences
+// to match; removing ones people RSVP'd to needs ?cancel=true, which notifies
+// them. Past occurrences are never touched.
+app.put(
+  "/eventseries/:id",
+  authenticate,
+  upload.single("image"),
+  validate(partial(seriesSchema)),
+  processImages,
+  async (req, res) => {
+    const newImage = req.file?.filename;
+    const reject = async (status, message, errors) => {
+      await removeUploadedFiles([newImage]);
+      sendError(res, status, message, errors);
+    };
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return reject(400, "Invalid series ID");
+      }
+
+      const series = await EventSeries.findById(req.params.id);
+      if (!series || series.cancelledAt) {
+        return reject(404, "Series not found");
+      }
+      if (!canManage(req, series.userId)) {
+        return reject(403, "You cannot edit this series");
+      }
+
+      const template = Object.fromEntries(
+        SERIES_TEMPLATE_FIELDS.filter(
+          (field) => req.body[field] !== undefined
+        ).map((field) => [field, req.body[field]])
+      );
+      if (newImage) template.image = newImage;
+
+      const { recurrence, errors } = parseRecurrence(
+        req.body,
+        series.recurrence.toObject()
+      );
+      if (errors.length) return reject(400, "Validation failed", errors);
+      const startDate = req.body.date ?? series.startDate;
+
+      const now = new Date();
+      const upcoming = await Event.find({
+        seriesId: series._id,
+        date: { $gte: now },
+      });
+      const following = upcoming.filter((event) => !event.detached);
+
+      // Work out every change before making any of them
+      let dropped = [];
+      let moved = [];
+      let added = [];
+      const ruleChanged = [
+        "date",
+        "frequency",
+        "interval",
+        "until",
+        "count",
+        "exceptions",
+      ].some((field) => req.body[field] !== undefined);
+      if (ruleChanged) {
+        const dates = expandRecurrence(startDate, recurrence).filter(
+          (date) => date >= now
+        );
+        const datesByDay = new Map(dates.map((date) => [dayKey(date), date]));
+        const takenDays = new Set(upcoming.map((event) => dayKey(event.date)));
+
+        dropped = following.filter(
+          (event) => !datesByDay.has(dayKey(event.date))
+        );
+        moved = following
+          .map((event) => [event, datesByDay.get(dayKey(event.date))])
+          .filter(
+            ([event, date]) => date && date.getTime() !== event.date.getTime()
+          );
+        added = dates.filter((date) => !takenDays.has(dayKey(date)));
+      }
+
+      const cancel = req.query.cancel === "true";
+      if (!cancel && dropped.some(hasAttendees)) {
+        return reject(
+          409,
+          "This change removes occurrences people have RSVP'd to. Retry with cancel=true to cancel them and notify attendees."
+        );
+      }
+
+      const kept = following.filter((event) => !dropped.includes(event));
+      if (template.slots !== undefined) {
+        const overbooked = kept.find(
+          (event) => event.bookeduser.length > template.slots
+        );
+        if (overbooked) {
+          return reject(409, "Too few slots for confirmed attendees", [
+            {
+              field: "slots",
+              message: `slots must be at least ${overbooked.bookeduser.length} (${overbooked.date.toDateString()})`,
+            },
+          ]);
+        }
+      }
+
+      const oldImage = series.image;
+      Object.assign(series, template, { startDate, recurrence });
+      await series.save();
+
+      let cancelled = 0;
+      let notified = 0;
+      for (const event of dropped) {
+        const result = await cancelEvent(req, event._id, { cancel });
+        if (result) {
+          cancelled += 1;
+          notified += result.notified;
+        }
+      }
+
+      if (Object.keys(template).length) {
+        const filter = {
+          _id: { $in: kept.map((event) => event._id) },
+          detached: false,
+        };
+        // Same guard as a single event edit, against concurrent RSVPs
+        if (template.slots !== undefined) {
+          filter.$expr = { $lte: [{ $size: "$bookeduser" }, template.slots] };
+        }
+        await Event.updateMany(filter, {
+          $set: template,
+          $inc: { sequence: 1 },
+        });
+      }
+      for (const [event, date] of moved) {
+        await Event.updateOne(
+          { _id: event._id, detached: false },
+          { $set: { date }, $inc: { sequence: 1 } }
+        );
+      }
+      if (added.length) {
+        await Event.insertMany(
+          added.map((date) => ({ ...occurrenceFields(series), date }))
+        );
+      }
+
+      const io = req.app.get("io");
+      for (const event of kept) {
+        let updated = await Event.findById(event._id);
+        if (!updated) continue;
+        if (template.slots !== undefined) {
+          updated = await fillFromWaitlist(req, updated);
+        }
+        io.to(eventRoom(updated._id)).emit("eventUpdated", updated);
+        broadcastRsvpChange(io, updated);
+      }
+
+      if (newImage) await removeEventImages([oldImage]);
+
+      await recordContentEdit(req, {
+        targetType: "series",
+        targetId: series._id,
+        ownerId: series.userId,
+        label: series.name,
+        fields: Object.keys(req.body).concat(newImage ? ["image"] : []),
+      });
+
+      const events = await Event.find({ seriesId: series._id }).sort({
+        date: 1,
+      });
+      res.status(200).json({
+        success: true,
+        series,
+        events,
+        cancelled,
+        notified,
+      });
+    } catch (error) {
+      console.error("Error updating event series:", error);
+      await removeUploadedFiles([newImage]);
+      sendError(res, 500, "Failed to update event series");
+    }
+  }
+);
+
+// Cancel a series: its upcoming occurrences are deleted (with ?cancel=true
+// when people RSVP'd, who are then notified); past ones are kept.
+app.delete("/eventseries/:id", authenticate, async (req, res) => {
   try {
-    const {
-      instrumentName,
-      instrumentDescription,
-      amount,
-      userId,
-      userName,
-      address,
-      contactNumber,
-      status,
-      rentedDate,
-      expectedReturnDate,
-      renterId,
-      category, // New field
-    } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid series ID");
+    }
 
-    const newInstrument = new Instrument({
-      instrumentName,
-      instrumentDescription,
-      amount,
-      image: req.file ? req.file.filename : "",
-      userId,
-      userName,
-      address,
-      contactNumber,
-      status,
-      rentedDate,
-      expectedReturnDate,
-      renterId,
-      category, // Save category
+    const series = await EventSeries.findById(req.params.id);
+    if (!series || series.cancelledAt) {
+      return sendError(res, 404, "Series not found");
+    }
+    if (!canManage(req, series.userId)) {
+      return sendError(res, 403, "You cannot cancel this series");
+    }
+
+    const now = new Date();
+    const upcoming = await Event.find({
+      seriesId: series._id,
+      date: { $gte: now },
     });
 
-    await newInstrument.save();
-    res.status(201).json({ message: "Instrument added successfully!" });
-  } catch (err) {
-    res.status(500).json({ error: "Failed to add instrument" });
+    const cancel = req.query.cancel === "true";
+    if (!cancel && upcoming.some(hasAttendees)) {
+      return sendError(
+        res,
+        409,
+        "Series has RSVPs. Delete it with cancel=true to cancel it and notify attendees."
+      );
+    }
+
+    // Occurrences go first so a failure part-way can simply be retried
+    let cancelled = 0;
+    let notified = 0;
+    for (const event of upcoming) {
+      const result = await cancelEvent(req, event._id, { cancel });
+      if (result) {
+        cancelled += 1;
+        notified += result.notified;
+      }
+    }
+
+    // The series is kept for its past occurrences, but not its image
+    const { image } = series;
+    series.cancelledAt = now;
+    series.image = undefined;
+    await series.save();
+    await removeEventImages([image]);
+
+    await recordContentRemoval(req, {
+      targetType: "series",
+      targetId: series._id,
+      ownerId: series.userId,
+      label: series.name,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Series cancelled",
+      cancelled,
+      notified,
+    });
+  } catch (error) {
+    console.error("Error cancelling event series:", error);
+    sendError(res, 500, "Failed to cancel event series");
   }
 });
 
-app.get("/instruments", async (req, res) => {
+// The caller's ticket for an event, with its code as a QR image
+app.get("/eventsdata/:id/ticket", authenticate, async (req, res) => {
   try {
-    const instruments = await Instrument.find();
-    res.status(200).json(instruments);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid event ID");
+    }
+
+    let ticket = await Ticket.findOne({
+      eventId: req.params.id,
+      userId: req.userId,
+      status: { $ne: "void" },
+    });
+    // Confirmed attendees whose ticket could not be issued at RSVP time
+    if (
+      !ticket &&
+      (await Event.exists({ _id: req.params.id, bookeduser: req.user._id }))
+    ) {
+      ticket = await issueTicket(req.params.id, req.user);
+    }
+    if (!ticket) {
+      return sendError(res, 404, "You have no ticket for this event");
+    }
+
+    res.status(200).json({ success: true, ticket: await renderTicket(ticket) });
   } catch (error) {
-    console.error("Error fetching instruments:", error);
-    res.status(500).json({ error: "Unable to fetch instruments." });
+    console.error("Error fetching ticket:", error);
+    sendError(res, 500, "Failed to fetch ticket");
   }
 });
 
-// Get a specific instrument by ID
-app.get("/instruments/:id", async (req, res) => {
+const checkInSchema = {
+  code: { type: "string", required: true, max: 200 },
+};
+
+// Host (or admin) scans a ticket at the door. Each ticket checks in once.
+app.post(
+  "/eventsdata/:id/checkin",
+  authenticate,
+  validate(checkInSchema),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid event ID");
+      }
+
+      const event = await Event.findById(req.params.id);
+      if (!event) return sendError(res, 404, "Event not found");
+      if (!canManage(req, event.userId)) {
+        return sendError(
+          res,
+          403,
+          "You cannot check in tickets for this event"
+        );
+      }
+
+      const ticketId = verifyTicketCode(req.body.code);
+      if (!ticketId) {
+        return sendError(res, 400, "Invalid ticket", [
+          { field: "code", message: "is not a valid ticket code" },
+        ]);
+      }
+
+      const ticket = await Ticket.findOneAndUpdate(
+        { _id: ticketId, eventId: event._id, status: "valid" },
+        {
+          status: "checked_in",
+          checkedInAt: new Date(),
+          checkedInBy: req.userId,
+        },
+        { new: true }
+      ).populate("attendee", "firstName lastName email");
+
+      if (!ticket) {
+        const existing = await Ticket.findById(ticketId);
+        if (!existing || !existing.eventId.equals(event._id)) {
+          return sendError(res, 400, "Ticket is not for this event");
+        }
+        if (existing.status === "checked_in") {
+          return sendError(
+            res,
+            409,
+            `Ticket was already checked in at ${existing.checkedInAt.toISOString()}`
+          );
+        }
+        return sendError(res, 409, "Ticket is no longer valid");
+      }
+
+      req.app.get("io").to(eventRoom(event._id)).emit("ticketCheckedIn", {
+        eventId: event._id,
+        ticketId: ticket._id,
+        userId: ticket.userId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Checked in",
+        ticket,
+      });
+    } catch (error) {
+      console.error("Error checking in ticket:", error);
+      sendError(res, 500, "Failed to check in ticket");
+    }
+  }
+);
+
+// Host (or admin) view of who RSVP'd and who showed up
+app.get("/eventsdata/:id/attendance", authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
-    const instrument = await Instrument.findById(id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid event ID");
+    }
 
-    if (!instrument) {
-      return res.status(404).json({ error: "Instrument not found" });
+    const event = await Event.findById(req.params.id);
+    if (!event) return sendError(res, 404, "Event not found");
+    if (!canManage(req, event.userId)) {
+      return sendError(res, 403, "You cannot view attendance for this event");
     }
 
-    res.status(200).json(instrument);
+    const [rsvped, tickets] = await Promise.all([
+      FormDataModel.find({ _id: { $in: event.bookeduser } }).select(
+        "userId firstName lastName email phone"
+      ),
+      Ticket.find({ eventId: event._id, status: { $ne: "void" } }),
+    ]);
+    const ticketsByUser = new Map(
+      tickets.map((ticket) => [ticket.userId, ticket])
+    );
+
+    const attendee = (user, ticket, rsvp) => ({
+      user,
+      ticketId: ticket?._id ?? null,
+      rsvped: rsvp,
+      checkedIn: ticket?.status === "checked_in",
+      checkedInAt: ticket?.checkedInAt ?? null,
+    });
+
+    // Confirmed attendees, plus people who checked in and cancelled afterwards
+    const attendees = rsvped.map((user) =>
+      attendee(user, ticketsByUser.get(String(user.userId)), true)
+    );
+    const rsvpedIds = new Set(rsvped.map((user) => String(user.userId)));
+    const lateCancellations = tickets.filter(
+      (ticket) =>
+        ticket.status === "checked_in" && !rsvpedIds.has(ticket.userId)
+    );
+    if (lateCancellations.length) {
+      const users = await FormDataModel.find({
+        userId: { $in: lateCancellations.map((ticket) => ticket.userId) },
+      }).select("userId firstName lastName email phone");
+      lateCancellations.forEach((ticket) => {
+        const user = users.find((u) => String(u.userId) === ticket.userId);
+        attendees.push(attendee(user ?? null, ticket, false));
+      });
+    }
+
+    const checkedIn = attendees.filter((entry) => entry.checkedIn);
+
+    res.status(200).json({
+      success: true,
+      summary: {
+        slots: event.slots,
+        rsvped: event.bookeduser.length,
+        waitlisted: event.waitlist.length,
+        checkedIn: checkedIn.length,
+        noShows: attendees.length - checkedIn.length,
+      },
+      attendees,
+    });
   } catch (error) {
-    console.error("Error fetching instrument by ID:", error);
-    res.status(500).json({ error: "Internal server error" });
+    console.error("Error fetching attendance:", error);
+    sendError(res, 500, "Failed to fetch attendance");
   }
 });
 
-app.put("/instruments/rent/:id", async (req, res) => {
-  const { rentedDate, expectedReturnDate } = req.body;
-  const instrumentId = req.params.id;
+// ---------------------------------------------------------------------------
+// iCalendar feeds
+
+const CALENDAR_DOMAIN = new URL(APPLICATION_URL).hostname;
+// Past events kept in feeds, so subscribers still see what they attended
+const CALENDAR_HISTORY_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_FEED_EVENTS = 500;
+
+const sendCalendar = (res, events, { name, filename, download = false }) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `${download ? "attachment" : "inline"}; filename="${filename}"`
+  );
+  res.send(buildCalendar(events, { name, domain: CALENDAR_DOMAIN }));
+};
+
+const feedEvents = (filter) =>
+  Event.find({
+    ...filter,
+    date: { $gte: new Date(Date.now() - CALENDAR_HISTORY_MS) },
+  })
+    .sort({ date: 1 })
+    .limit(MAX_FEED_EVENTS);
 
+// Download a single event
+app.get("/eventsdata/:id/calendar.ics", async (req, res) => {
   try {
-    // Extract token from the Authorization header
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid event ID");
     }
 
-    // Verify the token and extract user information
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const renterId = decoded.userId; // Get the user ID from the decoded token
+    const event = await Event.findById(req.params.id);
+    if (!event) return sendError(res, 404, "Event not found");
 
-    // Find the instrument by ID
-    const instrument = await Instrument.findById(instrumentId);
-    if (!instrument) {
-      return res.status(404).json({ message: "Instrument not found." });
+    sendCalendar(res, [event], {
+      filename: `event-${event._id}.ics`,
+      download: true,
+    });
+  } catch (error) {
+    console.error("Error exporting event:", error);
+    sendError(res, 500, "Failed to export event");
+  }
+});
+
+// Public feed of upcoming (and recent) events.
+// Query: genre, location (same matching as GET /eventsdata)
+app.get("/calendar/events.ics", async (req, res) => {
+  try {
+    const { genre, location } = req.query;
+
+    const filter = {};
+    if (genre) filter.genre = listFilter(genre);
+    if (location) {
+      filter.location = { $regex: escapeRegex(location), $options: "i" };
     }
 
-    // Check if the logged-in user is the owner of the instrument
-    if (instrument.userId === renterId) {
-      return res
-        .status(400)
-        .json({ message: "You cannot rent your own instrument." });
+    sendCalendar(res, await feedEvents(filter), {
+      name: "Events",
+      filename: "events.ics",
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
     }
+    console.error("Error building events feed:", error);
+    sendError(res, 500, "Failed to build calendar feed");
+  }
+});
 
-    // Check if the instrument is available for rent
-    if (instrument.status !== "available") {
-      return res
-        .status(400)
-        .json({ message: "Instrument is not available for rent." });
+// Calendar apps cannot send an Authorization header, so personal feeds are
+// authorized by a secret token in the URL instead
+const calendarFeedUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}/calendar/users/${token}.ics`;
+
+const newCalendarToken = () => crypto.randomBytes(24).toString("base64url");
+
+// The caller's personal feed URL (events they RSVP'd to or host)
+app.get("/calendar/subscription", authenticate, async (req, res, next) => {
+  try {
+    const user = await FormDataModel.findById(req.user._id).select(
+      "+calendarToken"
+    );
+    if (!user.calendarToken) {
+      user.calendarToken = newCalendarToken();
+      await user.save();
     }
+    res.json({ url: calendarFeedUrl(req, user.calendarToken) });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update the instrument status to 'not available' and set rental details
-    instrument.status = "not available";
-    instrument.rentedDate = rentedDate;
-    instrument.expectedReturnDate = expectedReturnDate;
-    instrument.renterId = renterId;
+// Issue a new feed URL; the old one stops working
+app.post(
+  "/calendar/subscription/reset",
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const calendarToken = newCalendarToken();
+      await FormDataModel.updateOne({ _id: req.user._id }, { calendarToken });
+      res.json({ url: calendarFeedUrl(req, calendarToken) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    // Save the changes to the instrument
-    await instrument.save();
+app.get("/calendar/users/:token.ics", async (req, res) => {
+  try {
+    const user = await FormDataModel.findOne({
+      calendarToken: String(req.params.token),
+    });
+    if (!user) return sendError(res, 404, "Calendar not found");
 
-    // Send the success response
-    res
-      .status(200)
-      .json({ message: "Instrument rented successfully!", instrument });
+    const events = await feedEvents({
+      $or: [{ bookeduser: user._id }, { userId: user.userId }],
+    });
+    sendCalendar(res, events, {
+      name: "My events",
+      filename: "my-events.ics",
+    });
   } catch (error) {
-    console.error("Error renting instrument:", error);
-    res.status(500).json({ error: "Unable to rent the instrument." });
+    console.error("Error building user calendar feed:", error);
+    sendError(res, 500, "Failed to build calendar feed");
   }
 });
 
-// Update instrument status to available and reset rented details
-app.put("/instruments/return/:id", async (req, res) => {
-  const instrumentId = req.params.id;
+// Which users are connected right now, optionally limited to ?userIds=a,b
+app.get("/presence", authenticate, (req, res) => {
+  let online = getOnlineUserIds();
+  if (req.query.userIds) {
+    const wanted = new Set(String(req.query.userIds).split(","));
+    online = online.filter((userId) => wanted.has(userId));
+  }
+  res.json({ online });
+});
+
+// Get Logged-in User Info
+app.get("/user", authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+const MAX_POST_IMAGES = 4;
+
+const postSchema = {
+  message: { type: "string", required: true, max: 5000 },
+};
 
+// Follow an artist or musician
+app.post("/users/:userId/follow", authenticate, async (req, res, next) => {
   try {
-    // Extract token from the Authorization header
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ message: "Unauthorized" });
+    const followingId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(followingId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+    if (followingId === req.userId) {
+      return sendError(res, 400, "You cannot follow yourself");
     }
 
-    // Verify the token and extract user information
-    const decoded = jwt.verify(token, SECRET_KEY);
-    const userId = decoded.userId; // Get the user ID from the decoded token
+    const target = await FormDataModel.findOne({ userId: followingId });
+    if (!target) return sendError(res, 404, "User not found");
+    if (!FormDataModel.FOLLOWABLE_ROLES.includes(target.role)) {
+      return sendError(res, 400, "Only artists and musicians can be followed");
+    }
 
-    // Find the instrument by ID
-    const instrument = await Instrument.findById(instrumentId);
-    if (!instrument) {
-      return res.status(404).json({ message: "Instrument not found." });
+    // Upsert so following twice is a no-op and counters only move once
+    const result = await Follow.updateOne(
+      { followerId: req.userId, followingId },
+      { $setOnInsert: { followerId: req.userId, followingId } },
+      { upsert: true }
+    );
+    if (result.upsertedCount) {
+      await FormDataModel.updateOne(
+        { userId: followingId },
+        { $inc: { followerCount: 1 } }
+      );
+      await FormDataModel.updateOne(
+        { userId: req.userId },
+        { $inc: { followingCount: 1 } }
+      );
     }
 
-    // Check if the logged-in user is the renter of the instrument
-    if (instrument.renterId !== userId) {
-      return res
-        .status(400)
-        .json({ message: "You are not the renter of this instrument." });
+    res.json({ message: "Following", following: true });
+  } catch (err) {
+    // Two concurrent follows can race on the unique index
+    if (err.code === 11000)
+      return res.json({ message: "Following", following: true });
+    next(err);
+  }
+});
+
+// Unfollow
+app.delete("/users/:userId/follow", authenticate, async (req, res) => {
+  try {
+    const followingId = req.params.userId;
+    const removed = await Follow.findOneAndDelete({
+      followerId: req.userId,
+      followingId,
+    });
+    if (removed) {
+      await FormDataModel.updateOne(
+        { userId: followingId },
+        { $inc: { followerCount: -1 } }
+      );
+      await FormDataModel.updateOne(
+        { userId: req.userId },
+        { $inc: { followingCount: -1 } }
+      );
     }
 
-    // Reset rented details and update status to "available"
-    instrument.status = "available";
-    instrument.rentedDate = "";
-    instrument.expectedReturnDate = "";
-    instrument.renterId = "";
+    res.json({ message: "Unfollowed", following: false });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
 
-    // Save the changes to the instrument
-    await instrument.save();
+// Followers of a user, or the users they follow, newest first
+app.get("/users/:userId/:direction(followers|following)", async (req, res) => {
+  try {
+    const { userId, direction } = req.params;
+    const [matchField, otherField] =
+      direction === "followers"
+        ? ["followingId", "followerId"]
+        : ["followerId", "followingId"];
 
-    // Send the success response
-    res.status(200).json({
-      message: "Instrument returned and status updated to available!",
-      instrument,
+    const pagination = parsePagination(req.query);
+    const [follows, total] = await Promise.all([
+      Follow.find({ [matchField]: userId })
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Follow.countDocuments({ [matchField]: userId }),
+    ]);
+
+    const users = await FormDataModel.find({
+      userId: { $in: follows.map((follow) => follow[otherField]) },
+    }).select(FormDataModel.PUBLIC_FIELDS);
+    const byId = new Map(users.map((user) => [String(user.userId), user]));
+
+    res.json({
+      users: follows
+        .map((follow) => byId.get(follow[otherField]))
+        .filter(Boolean),
+      pagination: paginationInfo(pagination, total),
     });
-  } catch (error) {
-    console.error("Error updating instrument status:", error);
-    res.status(500).json({ error: "Unable to return the instrument." });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
   }
 });
 
+// Cursor for the personalized feed: "<timeMs>_<id>" of the last item seen
+const parseFeedCursor = (cursor) => {
+  if (!cursor) return null;
+  const [time, id] = String(cursor).split("_");
+  if (!/^\d+$/.test(time) || !mongoose.Types.ObjectId.isValid(id)) {
+    return undefined;
+  }
+  return { time: Number(time), id: new mongoose.Types.ObjectId(id) };
+};
+
+// Posts by followed users and events hosted by them, newest first.
+// Pass the returned nextCursor as ?cursor to get the next page.
+app.get("/feed", authenticate, async (req, res) => {
+  try {
+    const { limit } = parsePagination(req.query);
+    const cursor = parseFeedCursor(req.query.cursor);
+    if (cursor === undefined) return sendError(res, 400, "Invalid cursor");
+
+    const following = await Follow.find({ followerId: req.userId }).distinct(
+      "followingId"
+    );
+
+    // Items strictly after the cursor in (time desc, id desc) order. Events
+    // have no creation date of their own, so their _id timestamp is used.
+    const postFilter = { userId: { $in: following } };
+    const eventFilter = { userId: { $in: following } };
+    if (cursor) {
+      const at = new Date(cursor.time);
+      postFilter.$or = [
+        { dateTime: { $lt: at } },
+        { dateTime: at, _id: { $lt: cursor.id } },
+      ];
+      const second = Math.ceil(cursor.time / 1000);
+      eventFilter.$or = [
+        { _id: { $lt: mongoose.Types.ObjectId.createFromTime(second) } },
+      ];
+      if (cursor.time % 1000 === 0) {
+        eventFilter.$or.push({
+          _id: {
+            $gte: mongoose.Types.ObjectId.createFromTime(second),
+            $lt: cursor.id,
+          },
+        });
+      }
+    }
+
+    const [posts, events] = await Promise.all([
+      Post.find(postFilter).sort({ dateTime: -1, _id: -1 }).limit(limit),
+      Event.find(eventFilter).sort({ _id: -1 }).limit(limit),
+    ]);
+
+    const items = [
+      ...posts.map((post) => ({
+        type: "post",
+        time: post.dateTime.getTime(),
+        id: post._id,
+        post,
+      })),
+      ...events.map((event) => ({
+        type: "event",
+        time: event._id.getTimestamp().getTime(),
+        id: event._id,
+        event,
+      })),
+    ]
+      .sort(
+        (a, b) => b.time - a.time || String(b.id).localeCompare(String(a.id))
+      )
+      .slice(0, limit);
+
+    const last = items[items.length - 1];
+    res.json({
+      items: items.map(({ time, id, ...item }) => ({
+        ...item,
+        createdAt: new Date(time),
+      })),
+      nextCursor: items.length === limit ? `${last.time}_${last.id}` : null,
+    });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Create Post with Socket.IO emit. Accepts JSON, or multipart with up to
+// MAX_POST_IMAGES files in the "images" field.
+app.post(
+  "/posts",
+  authenticate,
+  upload.array("images", MAX_POST_IMAGES),
+  validate(postSchema),
+  processImages,
+  async (req, res) => {
+    const { message } = req.body;
+
+    try {
+      const user = req.user;
+
+      const newPost = new Post({
+        userId: user.userId,
+        userName: `${user.firstName} ${user.lastName}`,
+        message,
+        images: (req.files || []).map((file) => file.filename),
+      });
+
+      await newPost.save();
+
+      // Emit new post to all connected clients
+      const io = req.app.get("io");
+      io.to(FEED_ROOM).emit("newPost", newPost);
+
+      res.status(201).json({ post: newPost });
+    } catch (err) {
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+const editPostSchema = {
+  message: { type: "string", max: 5000 },
+  removeImages: { type: "string" }, // comma-separated filenames
+};
+
+// Edit own post. The previous message and images are kept as a revision.
+// New files in "images" are added, files listed in removeImages are dropped
+// from the post (they stay on disk for the revision history).
+app.put(
+  "/posts/:id",
+  authenticate,
+  upload.array("images", MAX_POST_IMAGES),
+  validate(editPostSchema),
+  processImages,
+  async (req, res) => {
+    const newFiles = (req.files || []).map((file) => file.filename);
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        await removeUploadedFiles(newFiles);
+        return sendError(res, 400, "Invalid post ID");
+      }
+
+      const post = await Post.findById(req.params.id);
+      if (!post || post.userId.toString() !== req.userId) {
+        await removeUploadedFiles(newFiles);
+        return sendError(res, 404, "Post not found");
+      }
+
+      const removed = new Set(
+        (req.body.removeImages || "").split(",").map((name) => name.trim())
+      );
+      const images = post.images
+        .filter((name) => !removed.has(name))
+        .concat(newFiles);
+      if (images.length > MAX_POST_IMAGES) {
+        await removeUploadedFiles(newFiles);
+        return sendError(res, 400, "Too many images", [
+          {
+            field: "images",
+            message: `a post can have at most ${MAX_POST_IMAGES} images`,
+          },
+        ]);
+      }
+
+      const message = req.body.message ?? post.message;
+      const editedAt = new Date();
+
+      // Only update if nobody edited the post since we read it
+      const updated = await Post.findOneAndUpdate(
+        { _id: post._id, editedAt: post.editedAt ?? null },
+        {
+          $set: { message, images, editedAt },
+          $push: {
+            revisions: {
+              message: post.message,
+              images: post.images,
+              editedAt,
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!updated) {
+        await removeUploadedFiles(newFiles);
+        return sendError(res, 409, "Post was edited concurrently, try again");
+      }
+
+      const io = req.app.get("io");
+      io.to(FEED_ROOM).emit("updatePost", updated);
+
+      res.json({ post: updated });
+    } catch (err) {
+      console.error(err);
+      await removeUploadedFiles(newFiles);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+// Edit history of a post, oldest first
+app.get("/posts/:id/revisions", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid post ID");
+    }
+
+    const post = await Post.findById(req.params.id).select("+revisions");
+    if (!post) return sendError(res, 404, "Post not found");
+
+    res.json({
+      postId: post._id,
+      editedAt: post.editedAt || null,
+      revisions: post.revisions,
+    });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Get All Posts
+app.get("/posts", async (req, res) => {
+  try {
+    const posts = await Post.find().sort({ dateTime: -1 });
+    res.json(posts);
+  } catch (err) {
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Like/Unlike a post
+app.put("/posts/like/:id", authenticate, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const post = await Post.findById(req.params.id);
+    if (!post) return sendError(res, 404, "Post not found");
+
+    const alreadyLiked = post.likedUsers.some((id) => id.toString() === userId);
+
+    if (alreadyLiked) {
+      // Unlike
+      post.likedUsers = post.likedUsers.filter(
+        (id) => id.toString() !== userId
+      );
+    } else {
+      // Like
+      post.likedUsers.push(userId);
+    }
+
+    await post.save();
+
+    // Emit the updated post to clients
+    const io = req.app.get("io");
+    io.to(FEED_ROOM).emit("updatePost", post);
+
+    if (!alreadyLiked && post.userId.toString() !== userId) {
+      notify(req, post.userId, {
+        type: "post_liked",
+        message: `${req.user.firstName} ${req.user.lastName} liked your post`,
+        data: { postId: post._id, userId },
+      });
+    }
+
+    res.json({ post });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Delete Post
+app.delete("/posts/:id", authenticate, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const post = await Post.findById(req.params.id).select("+revisions");
+    if (!post) return sendError(res, 404, "Post not found");
+
+    // Authors delete their own posts, admins can delete any
+    if (post.userId.toString() !== userId && req.user.role !== "Admin") {
+      return sendError(res, 403, "You cannot delete this post");
+    }
+
+    await Post.findByIdAndDelete(post._id);
+    await Comment.deleteMany({ postId: post._id });
+
+    // Attachments of the current version and of every earlier revision
+    const files = new Set([
+      ...post.images,
+      ...post.revisions.flatMap((revision) => revision.images),
+    ]);
+    await removeUploadedFiles([...files]);
+
+    await recordContentRemoval(req, {
+      targetType: "post",
+      targetId: post._id,
+      ownerId: post.userId,
+      label: post.message.slice(0, 60),
+    });
+
+    // Emit the post deletion event with the post ID
+    const io = req.app.get("io");
+    io.to(FEED_ROOM).emit("deletePost", post._id);
+
+    res.status(200).json({ message: "Post deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+const commentSchema = {
+  message: { type: "string", required: true, max: 2000 },
+  parentId: { type: "objectId" },
+};
+
+// Comment on a post, or reply to a comment when parentId is given
+app.post(
+  "/posts/:id/comments",
+  authenticate,
+  validate(commentSchema),
+  async (req, res) => {
+    try {
+      const { message, parentId } = req.body;
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid post ID");
+      }
+
+      const post = await Post.findById(req.params.id);
+      if (!post) return sendError(res, 404, "Post not found");
+
+      let parent = null;
+      if (parentId) {
+        // Deleted comments stay as placeholders but take no new replies
+        parent = await Comment.findOne({
+          _id: parentId,
+          postId: post._id,
+          deleted: false,
+        });
+        if (!parent) {
+          return sendError(res, 404, "Parent comment not found", [
+            {
+              field: "parentId",
+              message: "parentId is not a comment on this post",
+            },
+          ]);
+        }
+      }
+
+      const comment = await Comment.create({
+        postId: post._id,
+        parentId: parent?._id || null,
+        depth: parent ? parent.depth + 1 : 0,
+        userId: req.userId,
+        userName: `${req.user.firstName} ${req.user.lastName}`,
+        message,
+      });
+
+      if (parent) {
+        await Comment.updateOne(
+          { _id: parent._id },
+          { $inc: { replyCount: 1 } }
+        );
+      }
+      const updatedPost = await Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { commentCount: 1 } },
+        { new: true }
+      );
+
+      const io = req.app.get("io");
+      io.to(FEED_ROOM).emit("newComment", {
+        postId: post._id,
+        comment,
+        commentCount: updatedPost.commentCount,
+      });
+
+      res.status(201).json({ comment });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+// Comments of a post, oldest first. Top-level comments by default, or the
+// direct replies of ?parentId. Paginated with ?page and ?limit.
+app.get("/posts/:id/comments", async (req, res) => {
+  try {
+    const { parentId } = req.query;
+    if (
+      !mongoose.Types.ObjectId.isValid(req.params.id) ||
+      (parentId && !mongoose.Types.ObjectId.isValid(parentId))
+    ) {
+      return sendError(res, 400, "Invalid post or comment ID");
+    }
+
+    const filter = { postId: req.params.id, parentId: parentId || null };
+    const pagination = parsePagination(req.query);
+
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Comment.countDocuments(filter),
+    ]);
+
+    res.json({ comments, pagination: paginationInfo(pagination, total) });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Edit own comment
+app.put(
+  "/comments/:id",
+  authenticate,
+  validate({ message: commentSchema.message }),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid comment ID");
+      }
+
+      const comment = await Comment.findOneAndUpdate(
+        { _id: req.params.id, userId: req.userId, deleted: false },
+        { message: req.body.message, editedAt: new Date() },
+        { new: true }
+      );
+      if (!comment) return sendError(res, 404, "Comment not found");
+
+      const io = req.app.get("io");
+      io.to(FEED_ROOM).emit("updateComment", comment);
+
+      res.json({ comment });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+// Like/Unlike a comment
+app.put("/comments/like/:id", authenticate, async (req, res) => {
+  try {
+    const userId = req.userId;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid comment ID");
+    }
+
+    // Try to unlike first; if the user had not liked it, like it
+    let comment = await Comment.findOneAndUpdate(
+      { _id: req.params.id, likedUsers: userId },
+      { $pull: { likedUsers: userId } },
+      { new: true }
+    );
+    if (!comment) {
+      comment = await Comment.findOneAndUpdate(
+        { _id: req.params.id, deleted: false },
+        { $addToSet: { likedUsers: userId } },
+        { new: true }
+      );
+    }
+    if (!comment) return sendError(res, 404, "Comment not found");
+
+    const io = req.app.get("io");
+    io.to(FEED_ROOM).emit("updateComment", comment);
+
+    res.json({ comment });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Delete own comment (admins can delete any). A comment that has replies is
+// blanked so the thread below it stays readable.
+app.delete("/comments/:id", authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid comment ID");
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.id,
+      deleted: false,
+    });
+    if (!comment) return sendError(res, 404, "Comment not found");
+
+    if (comment.userId !== req.userId && req.user.role !== "Admin") {
+      return sendError(res, 403, "You cannot delete this comment");
+    }
+
+    const softDelete = comment.replyCount > 0;
+    if (softDelete) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { deleted: true, message: "", likedUsers: [] }
+      );
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+      if (comment.parentId) {
+        await Comment.updateOne(
+          { _id: comment.parentId },
+          { $inc: { replyCount: -1 } }
+        );
+      }
+    }
+
+    const post = await Post.findByIdAndUpdate(
+      comment.postId,
+      { $inc: { commentCount: -1 } },
+      { new: true }
+    );
+
+    await recordContentRemoval(req, {
+      targetType: "comment",
+      targetId: comment._id,
+      ownerId: comment.userId,
+      label: comment.message.slice(0, 60),
+    });
+
+    const io = req.app.get("io");
+    io.to(FEED_ROOM).emit("deleteComment", {
+      postId: comment.postId,
+      commentId: comment._id,
+      softDeleted: softDelete,
+      commentCount: post?.commentCount,
+    });
+
+    res.status(200).json({ message: "Comment deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Owner, status and rental fields are never taken from the client
+const instrumentSchema = {
+  instrumentName: { type: "string", required: true, max: 120 },
+  instrumentDescription: { type: "string", max: 5000 },
+  category: { type: "string", required: true, max: 50 },
+  amount: { type: "string", max: 50 },
+  address: { type: "string", max: 200 },
+  contactNumber: { type: "phone" },
+  rate: { type: "number", min: 0 },
+  ratePeriod: {
+    type: "enum",
+    values: Object.keys(Instrument.PRICING_PERIODS),
+    default: "day",
+  },
+  currency: {
+    type: "string",
+    pattern: /^[A-Za-z]{3}$/,
+    patternMessage: "must be a 3-letter currency code",
+  },
+  securityDeposit: { type: "number", min: 0 },
+  minimumPeriods: { type: "integer", min: 1 },
+};
+
+app.post(
+  "/addnewinstrument",
+  authenticate,
+  upload.single("image"),
+  validate(instrumentSchema),
+  processImages,
+  async (req, res) => {
+    try {
+      const {
+        instrumentName,
+        instrumentDescription,
+        amount,
+        address,
+        contactNumber,
+        category, // New field
+        rate,
+        ratePeriod,
+        currency,
+        securityDeposit,
+        minimumPeriods,
+      } = req.body;
+
+      // Structured pricing
+      const pricing =
+        rate === undefined
+          ? undefined
+          : {
+              rate,
+              period: ratePeriod,
+              currency,
+              securityDeposit,
+              minimumPeriods,
+            };
+
+      const newInstrument = new Instrument({
+        instrumentName,
+        instrumentDescription,
+        amount: pricing ? String(pricing.rate) : amount,
+        pricing,
+        image: req.file ? req.file.filename : "",
+        userId: req.userId,
+        userName: `${req.user.firstName} ${req.user.lastName}`,
+        address,
+        contactNumber,
+        category, // Save category
+      });
+
+      await newInstrument.save();
+      res.status(201).json({ message: "Instrument added successfully!" });
+    } catch (err) {
+      sendError(res, 500, "Failed to add instrument");
+    }
+  }
+);
+
+// List instruments
+// Query: q (text search on name/description), category, status, owner,
+// minPrice/maxPrice (pricing.rate), availableFrom/availableTo (no approved or
+// active rental in that range), sort (name, price, category, rating, created;
+// prefix "-" for descending), page, limit
+app.get("/instruments", async (req, res) => {
+  try {
+    const {
+      q,
+      category,
+      status,
+      owner,
+      minPrice,
+      maxPrice,
+      availableFrom,
+      availableTo,
+      sort,
+    } = req.query;
+
+    const filter = {};
+    if (q) filter.$text = { $search: String(q) };
+    if (category) filter.category = listFilter(category);
+    if (status) filter.status = listFilter(status);
+    if (owner) filter.userId = String(owner);
+    const priceRange = rangeFilter(minPrice, maxPrice, Number);
+    if (priceRange) filter["pricing.rate"] = priceRange;
+
+    if (availableFrom || availableTo) {
+      const period = rangeFilter(
+        availableFrom,
+        availableTo,
+        (value) => new Date(value)
+      );
+      const start = period.$gte || new Date();
+      const end = period.$lte || start;
+      const bookedIds = await Rental.distinct("instrumentId", {
+        status: { $in: Rental.BLOCKING_RENTAL_STATUSES },
+        startDate: { $lte: end },
+        endDate: { $gt: start },
+      });
+      filter._id = { $nin: bookedIds };
+    }
+
+    const pagination = parsePagination(req.query);
+    const sortBy = parseSort(
+      sort,
+      {
+        name: "instrumentName",
+        price: "pricing.rate",
+        category: "category",
+        rating: "rating.average",
+        created: "_id",
+      },
+      { _id: -1 }
+    );
+
+    const [instruments, total] = await Promise.all([
+      Instrument.find(filter)
+        .sort(sortBy)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Instrument.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      instruments,
+      pagination: paginationInfo(pagination, total),
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
+    }
+    console.error("Error fetching instruments:", error);
+    sendError(res, 500, "Unable to fetch instruments.");
+  }
+});
+
+// Get a specific instrument by ID
+app.get("/instruments/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const instrument = await Instrument.findById(id);
+
+    if (!instrument) {
+      return sendError(res, 404, "Instrument not found");
+    }
+
+    res.status(200).json(instrument);
+  } catch (error) {
+    console.error("Error fetching instrument by ID:", error);
+    sendError(res, 500, "Internal server error");
+  }
+});
+
+const updateInstrumentSchema = {
+  ...partial(instrumentSchema),
+  status: { type: "enum", values: ["available", "unavailable"] },
+};
+
+// Owners (and admins) edit a listing. Omitted fields keep their value, pricing
+// fields are merged into the current pricing and a new "image" replaces the
+// old file. Quotes already stored on rentals are not affected.
+app.put(
+  "/instruments/:id",
+  authenticate,
+  upload.single("image"),
+  validate(updateInstrumentSchema),
+  processImages,
+  async (req, res) => {
+    const newImage = req.file?.filename;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 400, "Invalid instrument ID.");
+      }
+
+      const instrument = await Instrument.findById(req.params.id);
+      if (!instrument) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 404, "Instrument not found");
+      }
+      if (!canManage(req, instrument.userId)) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 403, "You cannot edit this instrument");
+      }
+
+      const {
+        rate,
+        ratePeriod,
+        currency,
+        securityDeposit,
+        minimumPeriods,
+        ...changes
+      } = req.body;
+
+      const pricingChanges = Object.fromEntries(
+        Object.entries({
+          rate,
+          period: ratePeriod,
+          currency,
+          securityDeposit,
+          minimumPeriods,
+        }).filter(([, value]) => value !== undefined)
+      );
+      if (Object.keys(pricingChanges).length) {
+        if (!instrument.pricing && rate === undefined) {
+          await removeUploadedFiles([newImage]);
+          return sendError(res, 400, "Validation failed", [
+            { field: "rate", message: "rate is required to add pricing" },
+          ]);
+        }
+        changes.pricing = {
+          ...instrument.pricing?.toObject(),
+          ...pricingChanges,
+        };
+      }
+
+      // Keep the legacy price in step with structured pricing
+      const pricing = changes.pricing || instrument.pricing;
+      if (pricing) changes.amount = String(pricing.rate);
+      if (newImage) changes.image = newImage;
+
+      const updated = await Instrument.findByIdAndUpdate(
+        instrument._id,
+        { $set: changes },
+        { new: true, runValidators: true }
+      );
+      if (!updated) {
+        await removeUploadedFiles([newImage]);
+        return sendError(res, 404, "Instrument not found");
+      }
+
+      if (newImage) await removeUploadedFiles([instrument.image]);
+
+      await recordContentEdit(req, {
+        targetType: "instrument",
+        targetId: instrument._id,
+        ownerId: instrument.userId,
+        label: instrument.instrumentName,
+        fields: Object.keys(req.body).concat(newImage ? ["image"] : []),
+      });
+
+      req.app
+        .get("io")
+        .to(instrumentRoom(updated._id))
+        .emit("instrumentUpdated", updated);
+
+      res
+        .status(200)
+        .json({ message: "Instrument updated", instrument: updated });
+    } catch (error) {
+      console.error("Error updating instrument:", error);
+      await removeUploadedFiles([newImage]);
+      sendError(res, 500, "Unable to update the instrument.");
+    }
+  }
+);
+
+// Owners (and admins) delete a listing. Not while it is handed over (active
+// or overdue rental). Pending and approved rentals block it too unless
+// ?cancel=true, which cancels them and notifies the renters.
+app.delete("/instruments/:id", authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid instrument ID.");
+    }
+
+    const instrument = await Instrument.findById(req.params.id);
+    if (!instrument) return sendError(res, 404, "Instrument not found");
+    if (!canManage(req, instrument.userId)) {
+      return sendError(res, 403, "You cannot delete this instrument");
+    }
+
+    const handedOver = {
+      instrumentId: instrument._id,
+      status: { $in: ["active", "overdue"] },
+    };
+    if (await Rental.exists(handedOver)) {
+      return sendError(
+        res,
+        409,
+        "Instrument is rented out. It can be deleted once it is returned."
+      );
+    }
+
+    const cancellable = ["requested", "approved"];
+    const pending = await Rental.find({
+      instrumentId: instrument._id,
+      status: { $in: cancellable },
+    });
+    if (pending.length && req.query.cancel !== "true") {
+      return sendError(
+        res,
+        409,
+        "Instrument has pending or upcoming rentals. Delete it with cancel=true to cancel them and notify the renters."
+      );
+    }
+
+    // Stop new requests while the existing ones are cancelled
+    await Instrument.updateOne(
+      { _id: instrument._id },
+      { status: "unavailable" }
+    );
+
+    const io = req.app.get("io");
+    let cancelledRentals = 0;
+    for (const rental of pending) {
+      const cancelled = await Rental.transition(
+        rental._id,
+        cancellable,
+        "cancelled",
+        { actor: req.userId, note: "Instrument removed by owner" }
+      );
+      if (cancelled) {
+        cancelledRentals += 1;
+        broadcastRentalChange(io, cancelled);
+        notifyRentalUpdate(req, cancelled, cancelled.renterId);
+      }
+    }
+
+    // An approved rental may have started while we were cancelling. The
+    // listing stays, so reopen it unless someone changed the status since.
+    if (await Rental.exists(handedOver)) {
+      await Instrument.updateOne(
+        { _id: instrument._id, status: "unavailable" },
+        { status: instrument.status }
+      );
+      return sendError(
+        res,
+        409,
+        "Instrument is rented out. It can be deleted once it is returned."
+      );
+    }
+
+    await Instrument.deleteOne({ _id: instrument._id });
+    await removeUploadedFiles([instrument.image]);
+
+    await recordContentRemoval(req, {
+      targetType: "instrument",
+      targetId: instrument._id,
+      ownerId: instrument.userId,
+      label: instrument.instrumentName,
+    });
+
+    io.to(instrumentRoom(instrument._id)).emit("instrumentDeleted", {
+      instrumentId: instrument._id,
+    });
+
+    res.status(200).json({
+      message: "Instrument deleted",
+      cancelledRentals,
+    });
+  } catch (error) {
+    console.error("Error deleting instrument:", error);
+    sendError(res, 500, "Unable to delete the instrument.");
+  }
+});
+
+// Approvals of one instrument take turns: each holds a short lease on the
+// instrument while it checks for conflicts and approves. A lease left behind
+// by a crashed request expires on its own.
+const APPROVAL_LEASE_MS = 10 * 1000;
+const APPROVAL_RETRY_MS = 100;
+const APPROVAL_ATTEMPTS = 30;
+
+// Run `approve` while holding the instrument's approval lease and resolve to
+// its result. Rejects with an ApiError when the instrument is gone or the
+// lease stays taken.
+const withApprovalLease = async (instrumentId, approve) => {
+  const leaseId = new mongoose.Types.ObjectId();
+  for (let attempt = 0; attempt < APPROVAL_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const { modifiedCount } = await Instrument.updateOne(
+      { _id: instrumentId, "approvalLease.expiresAt": { $not: { $gt: now } } },
+      {
+        approvalLease: {
+          id: leaseId,
+          expiresAt: new Date(now.getTime() + APPROVAL_LEASE_MS),
+        },
+      }
+    );
+    if (modifiedCount) {
+      try {
+        return await approve();
+      } finally {
+        await Instrument.updateOne(
+          { _id: instrumentId, "approvalLease.id": leaseId },
+          { $unset: { approvalLease: 1 } }
+        );
+      }
+    }
+
+    if (!(await Instrument.exists({ _id: instrumentId }))) {
+      throw new ApiError(404, "Instrument not found");
+    }
+    await new Promise((resolve) => setTimeout(resolve, APPROVAL_RETRY_MS));
+  }
+  throw new ApiError(
+    409,
+    "Another approval for this instrument is in progress. Try again."
+  );
+};
+
+// Query matching rentals of an instrument whose range overlaps [start, end)
+const overlappingRentalsQuery = (
+  instrumentId,
+  start,
+  end,
+  statuses = Rental.BLOCKING_RENTAL_STATUSES
+) => ({
+  instrumentId,
+  status: { $in: statuses },
+  startDate: { $lt: end },
+  endDate: { $gt: start },
+});
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Itemized cost of renting for [start, end) under the given pricing.
+// Returns { quote } or { error } when the range is shorter than the minimum.
+const computeRentalQuote = (pricing, start, end) => {
+  const periodMs = Instrument.PRICING_PERIODS[pricing.period];
+  const periods = periodMs ? Math.ceil((end - start) / periodMs) : 1;
+
+  if (periodMs && periods < pricing.minimumPeriods) {
+    return {
+      error: `Minimum rental length is ${pricing.minimumPeriods} ${pricing.period}(s).`,
+    };
+  }
+
+  const rentalAmount = roundMoney(pricing.rate * periods);
+  const securityDeposit = roundMoney(pricing.securityDeposit || 0);
+
+  const lineItems = [
+    {
+      label: periodMs
+        ? `Rental: ${periods} ${pricing.period}(s) x ${pricing.rate}`
+        : "Rental: flat fee",
+      amount: rentalAmount,
+      refundable: false,
+    },
+  ];
+  if (securityDeposit > 0) {
+    lineItems.push({
+      label: "Security deposit",
+      amount: securityDeposit,
+      refundable: true,
+    });
+  }
+
+  return {
+    quote: {
+      rate: pricing.rate,
+      period: pricing.period,
+      currency: pricing.currency,
+      periods,
+      rentalAmount,
+      securityDeposit,
+      total: roundMoney(rentalAmount + securityDeposit),
+      lineItems,
+    },
+  };
+};
+
+// Price a rental of an instrument between ?from and ?to without booking it
+app.get("/instruments/:id/quote", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid instrument ID");
+    }
+
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return sendError(res, 400, "from must be a valid date before to");
+    }
+
+    const instrument = await Instrument.findById(id);
+    if (!instrument) {
+      return sendError(res, 404, "Instrument not found");
+    }
+    if (!instrument.pricing) {
+      return sendError(res, 400, "This instrument has no pricing set");
+    }
+
+    const { quote, error } = computeRentalQuote(instrument.pricing, from, to);
+    if (error) return sendError(res, 400, error);
+
+    res.status(200).json({ instrumentId: instrument._id, from, to, quote });
+  } catch (error) {
+    console.error("Error computing quote:", error);
+    sendError(res, 500, "Unable to compute quote.");
+  }
+});
+
+// Request to rent an instrument for a date range; the owner has to approve it.
+// The quote at request time is stored on the rental.
+app.put("/instruments/rent/:id", authenticate, async (req, res) => {
+  const { rentedDate, expectedReturnDate } = req.body;
+  const instrumentId = req.params.id;
+
+  try {
+    const renterId = req.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(instrumentId)) {
+      return sendError(res, 400, "Invalid instrument ID.");
+    }
+
+    const startDate = new Date(rentedDate);
+    const endDate = new Date(expectedReturnDate);
+    if (isNaN(startDate) || isNaN(endDate) || startDate >= endDate) {
+      return sendError(
+        res,
+        400,
+        "rentedDate must be a valid date before expectedReturnDate."
+      );
+    }
+
+    // Find the instrument by ID
+    const instrument = await Instrument.findById(instrumentId);
+    if (!instrument) {
+      return sendError(res, 404, "Instrument not found.");
+    }
+
+    // Check if the logged-in user is the owner of the instrument
+    if (instrument.userId === renterId) {
+      return sendError(res, 400, "You cannot rent your own instrument.");
+    }
+
+    // The owner can take a listing off the market entirely
+    if (instrument.status !== "available") {
+      return sendError(res, 400, "Instrument is not available for rent.");
+    }
+
+    const conflict = await Rental.findOne(
+      overlappingRentalsQuery(instrument._id, startDate, endDate)
+    );
+    if (conflict) {
+      return sendError(
+        res,
+        409,
+        "Instrument is already booked for part of this period.",
+        [
+          {
+            field: "rentedDate",
+            message: `Overlaps a rental from ${conflict.startDate.toISOString()} to ${conflict.endDate.toISOString()}`,
+          },
+        ]
+      );
+    }
+
+    let quote;
+    if (instrument.pricing) {
+      const result = computeRentalQuote(instrument.pricing, startDate, endDate);
+      if (result.error) return sendError(res, 400, result.error);
+      quote = result.quote;
+    }
+
+    const rental = await Rental.create({
+      instrumentId: instrument._id,
+      ownerId: instrument.userId,
+      renterId,
+      startDate,
+      endDate,
+      quote,
+      history: [{ status: "requested", actor: renterId }],
+    });
+    broadcastRentalChange(req.app.get("io"), rental);
+    notify(req, instrument.userId, {
+      type: "rental_requested",
+      message: `${req.user.firstName} ${req.user.lastName} wants to rent ${instrument.instrumentName} from ${startDate.toDateString()} to ${endDate.toDateString()}`,
+      data: { rentalId: rental._id, instrumentId: instrument._id },
+    });
+
+    // Send the success response
+    res.status(201).json({
+      message: "Rental request sent to the owner!",
+      rental,
+      instrument,
+    });
+  } catch (error) {
+    console.error("Error renting instrument:", error);
+    sendError(res, 500, "Unable to rent the instrument.");
+  }
+});
+
+// Close the caller's current booking of an instrument
+app.put("/instruments/return/:id", authenticate, async (req, res) => {
+  const instrumentId = req.params.id;
+  const { rentalId } = req.body;
+
+  try {
+    const userId = req.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(instrumentId)) {
+      return sendError(res, 400, "Invalid instrument ID.");
+    }
+
+    // Find the instrument by ID
+    const instrument = await Instrument.findById(instrumentId);
+    if (!instrument) {
+      return sendError(res, 404, "Instrument not found.");
+    }
+
+    // Without an explicit rentalId, close the renter's earliest open booking.
+    // Only handed-over rentals can be returned; approved ones are cancelled.
+    const returnable = ["active", "overdue"];
+    const openFilter = {
+      instrumentId: instrument._id,
+      renterId: userId,
+      status: { $in: returnable },
+    };
+    if (rentalId) {
+      if (!mongoose.Types.ObjectId.isValid(rentalId)) {
+        return sendError(res, 400, "Invalid rental ID.");
+      }
+      openFilter._id = rentalId;
+    }
+    const open = await Rental.findOne(openFilter).sort({ startDate: 1 });
+
+    // Late returns settle the final late fee
+    const returnedAt = new Date();
+    const rental =
+      open &&
+      (await Rental.transition(open._id, returnable, "returned", {
+        actor: userId,
+        filter: { renterId: userId },
+        set: {
+          returnedAt,
+          lateFee: computeLateFee(open, returnedAt),
+          lateFeeUpdatedAt: returnedAt,
+        },
+      }));
+
+    if (!rental) {
+      return sendError(
+        res,
+        400,
+        "You have no rental of this instrument in progress."
+      );
+    }
+    broadcastRentalChange(req.app.get("io"), rental);
+
+    // Send the success response
+    res.status(200).json({
+      message: "Instrument returned successfully!",
+      rental,
+      instrument,
+    });
+  } catch (error) {
+    console.error("Error returning instrument:", error);
+    sendError(res, 500, "Unable to return the instrument.");
+  }
+});
+
+// Load a rental the caller is a party to, responding itself when not.
+// `role` is "owner" or "renter". Use after authenticate.
+const findRentalFor = async (req, res, role) => {
+  const userId = req.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendError(res, 400, "Invalid rental ID.");
+    return null;
+  }
+
+  const rental = await Rental.findById(req.params.id);
+  const partyId = role === "owner" ? rental?.ownerId : rental?.renterId;
+  if (!rental || partyId !== userId) {
+    sendError(res, 404, "Rental not found.");
+    return null;
+  }
+
+  return { rental, userId };
+};
+
+// Tell the other party about a rental status change
+const notifyRentalUpdate = (req, rental, recipientId) =>
+  notify(req, recipientId, {
+    type: "rental_updated",
+    message: `A rental from ${rental.startDate.toDateString()} to ${rental.endDate.toDateString()} is now ${rental.status}`,
+    data: { rentalId: rental._id, instrumentId: rental.instrumentId },
+  });
+
+// Owner approves a pending request. Overlapping pending requests for the same
+// instrument are rejected in the same step.
+app.put("/rentals/:id/approve", authenticate, async (req, res) => {
+  try {
+    const found = await findRentalFor(req, res, "owner");
+    if (!found) return;
+    const { rental, userId } = found;
+
+    // Under the lease the conflict check only sees committed approvals, so
+    // of two overlapping requests approved together exactly one wins
+    const approved = await withApprovalLease(rental.instrumentId, async () => {
+      const conflict = await Rental.exists({
+        ...overlappingRentalsQuery(
+          rental.instrumentId,
+          rental.startDate,
+          rental.endDate
+        ),
+        _id: { $ne: rental._id },
+      });
+      if (conflict) {
+        throw new ApiError(
+          409,
+          "Another rental is already approved for part of this period."
+        );
+      }
+
+      const approved = await Rental.transition(
+        rental._id,
+        ["requested"],
+        "approved",
+        { actor: userId }
+      );
+      if (!approved) {
+        throw new ApiError(400, `Cannot approve a ${rental.status} rental.`);
+      }
+      return approved;
+    });
+
+    const overlappingRequests = await Rental.find(
+      overlappingRentalsQuery(
+        approved.instrumentId,
+        approved.startDate,
+        approved.endDate,
+        ["requested"]
+      )
+    ).select("_id");
+    const autoRejected = await Promise.all(
+      overlappingRequests.map((other) =>
+        Rental.transition(other._id, ["requested"], "rejected", {
+          actor: userId,
+          note: "Dates taken by another rental",
+        })
+      )
+    );
+
+    const io = req.app.get("io");
+    broadcastRentalChange(io, approved);
+    notifyRentalUpdate(req, approved, approved.renterId);
+    autoRejected.filter(Boolean).forEach((other) => {
+      broadcastRentalChange(io, other);
+      notifyRentalUpdate(req, other, other.renterId);
+    });
+
+    res.status(200).json({ message: "Rental approved.", rental: approved });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendError(res, error.status, error.message);
+    }
+    console.error("Error approving rental:", error);
+    sendError(res, 500, "Unable to approve the rental.");
+  }
+});
+
+// Owner rejects a pending request
+app.put(
+  "/rentals/:id/reject",
+  authenticate,
+  validate({ reason: { type: "string", max: 500 } }),
+  async (req, res) => {
+    try {
+      const found = await findRentalFor(req, res, "owner");
+      if (!found) return;
+      const { rental, userId } = found;
+
+      const rejected = await Rental.transition(
+        rental._id,
+        ["requested"],
+        "rejected",
+        { actor: userId, note: req.body.reason }
+      );
+      if (!rejected) {
+        return sendError(res, 400, `Cannot reject a ${rental.status} rental.`);
+      }
+
+      broadcastRentalChange(req.app.get("io"), rejected);
+      notifyRentalUpdate(req, rejected, rejected.renterId);
+      res.status(200).json({ message: "Rental rejected.", rental: rejected });
+    } catch (error) {
+      console.error("Error rejecting rental:", error);
+      sendError(res, 500, "Unable to reject the rental.");
+    }
+  }
+);
+
+// Owner hands the instrument over, starting an approved rental
+app.put("/rentals/:id/start", authenticate, async (req, res) => {
+  try {
+    const found = await findRentalFor(req, res, "owner");
+    if (!found) return;
+    const { rental, userId } = found;
+
+    const started = await Rental.transition(
+      rental._id,
+      ["approved"],
+      "active",
+      { actor: userId }
+    );
+    if (!started) {
+      return sendError(res, 400, `Cannot start a ${rental.status} rental.`);
+    }
+
+    broadcastRentalChange(req.app.get("io"), started);
+    notifyRentalUpdate(req, started, started.renterId);
+    res.status(200).json({ message: "Rental started.", rental: started });
+  } catch (error) {
+    console.error("Error starting rental:", error);
+    sendError(res, 500, "Unable to start the rental.");
+  }
+});
+
+// Renter withdraws a request, or an approved booking that has not started
+app.put("/rentals/:id/cancel", authenticate, async (req, res) => {
+  try {
+    const found = await findRentalFor(req, res, "renter");
+    if (!found) return;
+    const { rental, userId } = found;
+
+    const cancelled = await Rental.transition(
+      rental._id,
+      ["requested", "approved"],
+      "cancelled",
+      { actor: userId }
+    );
+    if (!cancelled) {
+      return sendError(
+        res,
+        400,
+        "Only pending or approved rentals that have not started can be cancelled."
+      );
+    }
+
+    broadcastRentalChange(req.app.get("io"), cancelled);
+    notifyRentalUpdate(req, cancelled, cancelled.ownerId);
+    res.status(200).json({ message: "Rental cancelled.", rental: cancelled });
+  } catch (error) {
+    console.error("Error cancelling rental:", error);
+    sendError(res, 500, "Unable to cancel the rental.");
+  }
+});
+
+// Rentals on the caller's instruments (incoming) or made by the caller
+// (outgoing), optionally filtered by ?status
+app.get(
+  "/rentals/:direction(incoming|outgoing)",
+  authenticate,
+  async (req, res) => {
+    try {
+      const userId = req.userId;
+
+      const filter =
+        req.params.direction === "incoming"
+          ? { ownerId: userId }
+          : { renterId: userId };
+      if (req.query.status) {
+        filter.status = { $in: String(req.query.status).split(",") };
+      }
+
+      const rentals = await Rental.find(filter)
+        .sort({ createdAt: -1 })
+        .populate("instrumentId", "instrumentName image category userName");
+
+      res.status(200).json(rentals);
+    } catch (error) {
+      console.error("Error fetching rentals:", error);
+      sendError(res, 500, "Unable to fetch rentals.");
+    }
+  }
+);
+
+// Booked and free periods of an instrument between ?from and ?to
+// (defaults to the next 90 days)
+app.get("/instruments/:id/availability", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return sendError(res, 400, "Invalid instrument ID");
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 90 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return sendError(res, 400, "from must be a valid date before to");
+    }
+
+    const instrument = await Instrument.findById(id);
+    if (!instrument) {
+      return sendError(res, 404, "Instrument not found");
+    }
+
+    const rentals = await Rental.find(
+      overlappingRentalsQuery(instrument._id, from, to)
+    )
+      .sort({ startDate: 1 })
+      .select("startDate endDate status");
+
+    const booked = rentals.map((rental) => ({
+      startDate: rental.startDate,
+      endDate: rental.endDate,
+      status: rental.status,
+    }));
+
+    // Walk the sorted bookings and collect the gaps between them
+    const free = [];
+    let cursor = from;
+    for (const rental of rentals) {
+      if (rental.startDate > cursor) {
+        free.push({ startDate: cursor, endDate: rental.startDate });
+      }
+      if (rental.endDate > cursor) cursor = rental.endDate;
+    }
+    if (cursor < to) free.push({ startDate: cursor, endDate: to });
+
+    res.status(200).json({
+      instrumentId: instrument._id,
+      listingStatus: instrument.status,
+      from,
+      to,
+      booked,
+      free,
+    });
+  } catch (error) {
+    console.error("Error fetching instrument availability:", error);
+    sendError(res, 500, "Unable to fetch availability.");
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Reviews
+
+const reviewSchema = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  comment: { type: "string", max: 2000, default: "" },
+};
+
+const rentalReviewSchema = {
+  ...reviewSchema,
+  target: {
+    type: "enum",
+    values: ["instrument", "owner", "renter"],
+    required: true,
+  },
+};
+
+// Store (or revise) a review and refresh the rating summary of its subject.
+// Resolves to { review, rating }.
+const saveReview = async ({ kind, subjectId, contextId, reviewerId, body }) => {
+  const review = await Review.findOneAndUpdate(
+    { kind, contextId, reviewerId },
+    {
+      $set: {
+        subjectId: String(subjectId),
+        rating: body.rating,
+        comment: body.comment,
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const rating = await Review.summarize(kind, subjectId);
+  if (kind === "instrument") {
+    await Instrument.updateOne({ _id: subjectId }, { rating });
+  } else if (kind === "event") {
+    // Not an edit of the event itself, so leave updatedAt alone
+    await Event.updateOne(
+      { _id: subjectId },
+      { rating },
+      { timestamps: false }
+    );
+  } else {
+    await FormDataModel.updateOne(
+      { userId: subjectId },
+      { [`${kind}Rating`]: rating }
+    );
+  }
+
+  return { review, rating };
+};
+
+// Paginated reviews of a subject, newest first, with reviewer names
+const listReviews = async (req, res, kinds, subjectId) => {
+  const filter = { kind: { $in: kinds }, subjectId: String(subjectId) };
+  const pagination = parsePagination(req.query);
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit),
+    Review.countDocuments(filter),
+  ]);
+
+  const reviewers = await FormDataModel.find({
+    userId: { $in: reviews.map((review) => review.reviewerId) },
+  }).select("userId firstName lastName");
+  const reviewerById = new Map(
+    reviewers.map((reviewer) => [String(reviewer.userId), reviewer])
+  );
+
+  res.status(200).json({
+    reviews: reviews.map((review) => ({
+      ...review.toObject(),
+      reviewer: reviewerById.get(review.reviewerId) ?? null,
+    })),
+    pagination: paginationInfo(pagination, total),
+  });
+};
+
+// Review the other side of a returned rental: the renter rates the instrument
+// and the owner, the owner rates the renter. Posting again revises the review.
+app.post(
+  "/rentals/:id/reviews",
+  authenticate,
+  validate(rentalReviewSchema),
+  async (req, res) => {
+    try {
+      const userId = req.userId;
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid rental ID.");
+      }
+
+      const rental = await Rental.findById(req.params.id);
+      if (
+        !rental ||
+        (rental.ownerId !== userId && rental.renterId !== userId)
+      ) {
+        return sendError(res, 404, "Rental not found.");
+      }
+
+      const { target } = req.body;
+      const isRenter = rental.renterId === userId;
+      if (isRenter === (target === "renter")) {
+        return sendError(
+          res,
+          400,
+          isRenter
+            ? "Renters review the instrument or its owner."
+            : "Owners review the renter."
+        );
+      }
+      if (rental.status !== "returned") {
+        return sendError(
+          res,
+          400,
+          "A rental can be reviewed once the instrument is returned."
+        );
+      }
+
+      const subjectIds = {
+        instrument: rental.instrumentId,
+        owner: rental.ownerId,
+        renter: rental.renterId,
+      };
+      const { review, rating } = await saveReview({
+        kind: target,
+        subjectId: subjectIds[target],
+        contextId: rental._id,
+        reviewerId: userId,
+        body: req.body,
+      });
+
+      res.status(201).json({ message: "Review saved.", review, rating });
+    } catch (error) {
+      console.error("Error reviewing rental:", error);
+      sendError(res, 500, "Unable to save the review.");
+    }
+  }
+);
+
+// Confirmed attendees review an event once it has taken place
+app.post(
+  "/eventsdata/:id/reviews",
+  authenticate,
+  validate(reviewSchema),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid event ID");
+      }
+
+      const event = await Event.findById(req.params.id);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      if (!event.bookeduser.some((id) => id.equals(req.user._id))) {
+        return sendError(
+          res,
+          403,
+          "Only confirmed attendees can review this event"
+        );
+      }
+      if (event.date > new Date()) {
+        return sendError(
+          res,
+          400,
+          "Events can be reviewed once they have taken place"
+        );
+      }
+
+      const { review, rating } = await saveReview({
+        kind: "event",
+        subjectId: event._id,
+        contextId: event._id,
+        reviewerId: req.userId,
+        body: req.body,
+      });
+
+      res.status(201).json({ success: true, review, rating });
+    } catch (error) {
+      console.error("Error reviewing event:", error);
+      sendError(res, 500, "Failed to save review");
+    }
+  }
+);
+
+app.get("/instruments/:id/reviews", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid instrument ID");
+    }
+    await listReviews(req, res, ["instrument"], req.params.id);
+  } catch (error) {
+    console.error("Error fetching instrument reviews:", error);
+    sendError(res, 500, "Unable to fetch reviews.");
+  }
+});
+
+app.get("/eventsdata/:id/reviews", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid event ID");
+    }
+    await listReviews(req, res, ["event"], req.params.id);
+  } catch (error) {
+    console.error("Error fetching event reviews:", error);
+    sendError(res, 500, "Failed to fetch reviews");
+  }
+});
+
+// Reviews a user received as an owner and/or renter (?as=owner|renter)
+app.get("/users/:userId/reviews", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return sendError(res, 400, "Invalid user ID");
+    }
+    const kinds = ["owner", "renter"].includes(req.query.as)
+      ? [req.query.as]
+      : ["owner", "renter"];
+    await listReviews(req, res, kinds, req.params.userId);
+  } catch (error) {
+    console.error("Error fetching user reviews:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Store a message, bump the recipient's unread count and push it to both
+// participants
+const deliverMessage = async (io, conversation, senderId, text) => {
+  const recipientId = conversation.participants.find((id) => id !== senderId);
+  const message = await Message.create({
+    conversationId: conversation._id,
+    senderId,
+    text,
+  });
+
+  const updated = await Conversation.findByIdAndUpdate(
+    conversation._id,
+    {
+      lastMessage: { text, senderId, at: message.createdAt },
+      $inc: { [`unreadCounts.${recipientId}`]: 1 },
+    },
+    { new: true }
+  );
+
+  io.to(userRoom(senderId))
+    .to(userRoom(recipientId))
+    .emit("message:new", {
+      conversationId: conversation._id,
+      message,
+      unreadCount: updated.unreadCounts.get(recipientId) || 0,
+    });
+
+  return message;
+};
+
+// Load a conversation the caller takes part in, responding itself when not
+const findConversationFor = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendError(res, 400, "Invalid conversation ID");
+    return null;
+  }
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    participants: req.userId,
+  });
+  if (!conversation) sendError(res, 404, "Conversation not found");
+  return conversation;
+};
+
+const startConversationSchema = {
+  recipientId: { type: "objectId" },
+  contextType: { type: "enum", values: ["instrument", "event"] },
+  contextId: { type: "objectId" },
+  message: { type: "string", max: 5000 },
+};
+
+// Start (or reopen) a conversation. With contextType/contextId the thread is
+// linked to that listing and the recipient defaults to its owner/host.
+app.post(
+  "/conversations",
+  authenticate,
+  validate(startConversationSchema),
+  async (req, res, next) => {
+    try {
+      const { contextType, contextId, message } = req.body;
+      let { recipientId } = req.body;
+      let context;
+
+      if (contextType) {
+        if (!contextId) {
+          return sendError(res, 400, "Validation failed", [
+            { field: "contextId", message: "contextId is required" },
+          ]);
+        }
+        const listing =
+          contextType === "instrument"
+            ? await Instrument.findById(contextId)
+            : await Event.findById(contextId);
+        if (!listing) return sendError(res, 404, `${contextType} not found`);
+
+        recipientId = recipientId || String(listing.userId);
+        context = {
+          type: contextType,
+          id: listing._id,
+          title:
+            contextType === "instrument"
+              ? listing.instrumentName
+              : listing.name,
+        };
+      }
+
+      if (!recipientId) {
+        return sendError(res, 400, "Validation failed", [
+          { field: "recipientId", message: "recipientId is required" },
+        ]);
+      }
+      if (recipientId === req.userId) {
+        return sendError(res, 400, "You cannot message yourself");
+      }
+      if (!(await FormDataModel.exists({ userId: recipientId }))) {
+        return sendError(res, 404, "Recipient not found");
+      }
+
+      const participants = [req.userId, recipientId].sort();
+      const key = `${participants.join(":")}|${
+        context ? `${context.type}:${context.id}` : ""
+      }`;
+
+      let conversation;
+      try {
+        conversation = await Conversation.findOneAndUpdate(
+          { key },
+          { $setOnInsert: { key, participants, context } },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        // A concurrent first message inserted it; use that conversation
+        if (error.code !== 11000) throw error;
+        conversation = await Conversation.findOne({ key });
+      }
+
+      let sent = null;
+      if (message) {
+        sent = await deliverMessage(
+          req.app.get("io"),
+          conversation,
+          req.userId,
+          message
+        );
+      }
+
+      res.status(201).json({ conversation, message: sent });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Conversations of the logged-in user, most recently active first
+app.get("/conversations", authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const filter = { participants: req.userId };
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Conversation.countDocuments(filter),
+    ]);
+
+    const otherIds = conversations.map((conversation) =>
+      conversation.participants.find((id) => id !== req.userId)
+    );
+    const users = await FormDataModel.find({
+      userId: { $in: otherIds },
+    }).select("userId firstName lastName role");
+    const byId = new Map(users.map((user) => [String(user.userId), user]));
+
+    res.json({
+      conversations: conversations.map((conversation, index) => ({
+        _id: conversation._id,
+        context: conversation.context,
+        lastMessage: conversation.lastMessage,
+        updatedAt: conversation.updatedAt,
+        otherUser: byId.get(otherIds[index]) || null,
+        unreadCount: conversation.unreadCounts.get(req.userId) || 0,
+      })),
+      pagination: paginationInfo(pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching conversations:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Total unread messages across all conversations
+app.get("/conversations/unread-count", authenticate, async (req, res) => {
+  try {
+    const [result] = await Conversation.aggregate([
+      { $match: { participants: req.userId } },
+      {
+        $group: {
+          _id: null,
+          unread: { $sum: { $ifNull: [`$unreadCounts.${req.userId}`, 0] } },
+        },
+      },
+    ]);
+    res.json({ unreadCount: result?.unread || 0 });
+  } catch (error) {
+    console.error("Error counting unread messages:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Messages of a conversation, newest first. Pass the oldest _id you have as
+// ?before to load earlier messages.
+app.get("/conversations/:id/messages", authenticate, async (req, res) => {
+  try {
+    const conversation = await findConversationFor(req, res);
+    if (!conversation) return;
+
+    const { before } = req.query;
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return sendError(res, 400, "Invalid cursor");
+    }
+
+    const { limit } = parsePagination(req.query);
+    const filter = { conversationId: conversation._id };
+    if (before) filter._id = { $lt: before };
+
+    const messages = await Message.find(filter).sort({ _id: -1 }).limit(limit);
+
+    res.json({
+      messages,
+      nextCursor:
+        messages.length === limit ? messages[messages.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error fetching messages:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Send a message in an existing conversation
+app.post(
+  "/conversations/:id/messages",
+  authenticate,
+  validate({ text: { type: "string", required: true, max: 5000 } }),
+  async (req, res) => {
+    try {
+      const conversation = await findConversationFor(req, res);
+      if (!conversation) return;
+
+      const message = await deliverMessage(
+        req.app.get("io"),
+        conversation,
+        req.userId,
+        req.body.text
+      );
+      res.status(201).json({ message });
+    } catch (error) {
+      console.error("Error sending message:", error);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+// Mark every message from the other participant as read and send them a
+// read receipt
+app.put("/conversations/:id/read", authenticate, async (req, res) => {
+  try {
+    const conversation = await findConversationFor(req, res);
+    if (!conversation) return;
+
+    const readAt = new Date();
+    const { modifiedCount } = await Message.updateMany(
+      {
+        conversationId: conversation._id,
+        senderId: { $ne: req.userId },
+        readAt: null,
+      },
+      { readAt }
+    );
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { [`unreadCounts.${req.userId}`]: 0 }
+    );
+
+    if (modifiedCount) {
+      const otherId = conversation.participants.find((id) => id !== req.userId);
+      req.app.get("io").to(userRoom(otherId)).emit("message:read", {
+        conversationId: conversation._id,
+        readerId: req.userId,
+        readAt,
+      });
+    }
+
+    res.json({ message: "Conversation marked as read", read: modifiedCount });
+  } catch (error) {
+    console.error("Error marking conversation read:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Notifications of the logged-in user, newest first. ?unread=true limits the
+// list to unread ones.
+app.get("/notifications", authenticate, async (req, res) => {
+  try {
+    const filter = { userId: req.userId };
+    if (req.query.unread === "true") filter.read = false;
+
+    const pagination = parsePagination(req.query);
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.userId, read: false }),
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: paginationInfo(pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.get("/notifications/unread-count", authenticate, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      userId: req.userId,
+      read: false,
+    });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.put("/notifications/read-all", authenticate, async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { userId: req.userId, read: false },
+      { read: true }
+    );
+    res.json({
+      message: "All notifications marked as read",
+      read: modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error marking notifications read:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Muted notification types of the logged-in user
+app.get("/notifications/preferences", authenticate, (req, res) => {
+  const muted = req.user.mutedNotificationTypes || [];
+  res.json({
+    preferences: Notification.NOTIFICATION_TYPES.map((type) => ({
+      type,
+      enabled: !muted.includes(type),
+    })),
+  });
+});
+
+// Body: { mutedTypes: [...] } replaces the list of muted types
+app.put(
+  "/notifications/preferences",
+  authenticate,
+  validate({ mutedTypes: { type: "list", required: true } }),
+  async (req, res) => {
+    try {
+      const { mutedTypes } = req.body;
+      const unknown = mutedTypes.filter(
+        (type) => !Notification.NOTIFICATION_TYPES.includes(type)
+      );
+      if (unknown.length) {
+        return sendError(res, 400, "Validation failed", [
+          {
+            field: "mutedTypes",
+            message: `unknown notification types: ${unknown.join(", ")}`,
+          },
+        ]);
+      }
+
+      await FormDataModel.updateOne(
+        { userId: req.userId },
+        { mutedNotificationTypes: [...new Set(mutedTypes)] }
+      );
+      res.json({ message: "Preferences updated", mutedTypes });
+    } catch (error) {
+      console.error("Error updating notification preferences:", error);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+app.put("/notifications/:id/read", authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, "Invalid notification ID");
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) return sendError(res, 404, "Notification not found");
+
+    res.json({ notification });
+  } catch (error) {
+    console.error("Error marking notification read:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Moderation
+//
+// /admin routes are for admins only: authorize() with no roles lets only
+// Admin through. Content is edited and removed with the regular PUT and
+// DELETE routes, which admins may call on anyone's content (see
+// recordContentEdit and recordContentRemoval). Every action is written to the
+// audit log.
+
+const reportSchema = {
+  targetType: {
+    type: "enum",
+    values: Report.REPORT_TARGET_TYPES,
+    required: true,
+  },
+  targetId: { type: "objectId", required: true },
+  reason: { type: "enum", values: Report.REPORT_REASONS, required: true },
+  details: { type: "string", max: 2000, default: "" },
+};
+
+// Resolves truthy when the reported target exists
+const REPORT_TARGETS = {
+  post: (id) => Post.exists({ _id: id }),
+  comment: (id) => Comment.exists({ _id: id, deleted: false }),
+  event: (id) => Event.exists({ _id: id }),
+  instrument: (id) => Instrument.exists({ _id: id }),
+  user: (id) => FormDataModel.exists({ userId: id }),
+};
+
+// Flag content or a user for the moderation queue
+app.post("/reports", authenticate, validate(reportSchema), async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    if (targetType === "user" && targetId === req.userId) {
+      return sendError(res, 400, "You cannot report yourself");
+    }
+    if (!(await REPORT_TARGETS[targetType](targetId))) {
+      return sendError(res, 404, "Reported content not found");
+    }
+
+    const duplicate = await Report.exists({
+      reporterId: req.userId,
+      targetType,
+      targetId,
+      status: "open",
+    });
+    if (duplicate) {
+      return sendError(res, 409, "You have already reported this");
+    }
+
+    const report = await Report.create({
+      reporterId: req.userId,
+      targetType,
+      targetId,
+      reason,
+      details,
+    });
+    res.status(201).json({ message: "Report received", report });
+  } catch (error) {
+    console.error("Error creating report:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// Moderation queue, oldest first
+// Query: status (default open), targetType, reason, page, limit
+app.get("/admin/reports", authenticate, authorize(), async (req, res) => {
+  try {
+    const { status = "open", targetType, reason } = req.query;
+
+    const filter = { status: listFilter(status) };
+    if (targetType) filter.targetType = listFilter(targetType);
+    if (reason) filter.reason = listFilter(reason);
+
+    const pagination = parsePagination(req.query);
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Report.countDocuments(filter),
+    ]);
+
+    res.json({ reports, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
+    }
+    console.error("Error fetching reports:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+const reportDecisionSchema = {
+  status: { type: "enum", values: ["resolved", "dismissed"], required: true },
+  note: { type: "string", max: 500 },
+};
+
+// Close a report without touching its target (removing the content resolves
+// its reports automatically)
+app.put(
+  "/admin/reports/:id",
+  authenticate,
+  authorize(),
+  validate(reportDecisionSchema),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return sendError(res, 400, "Invalid report ID");
+      }
+
+      const { status, note } = req.body;
+      const report = await Report.findOneAndUpdate(
+        { _id: req.params.id, status: "open" },
+        {
+          status,
+          resolvedBy: req.userId,
+          resolvedAt: new Date(),
+          resolutionNote: note,
+        },
+        { new: true }
+      );
+      if (!report) {
+        const exists = await Report.exists({ _id: req.params.id });
+        if (!exists) return sendError(res, 404, "Report not found");
+        return sendError(res, 409, "Report is already closed");
+      }
+
+      // The report is closed already, so a failure here is only logged
+      try {
+        await recordAudit(req, {
+          action: status === "resolved" ? "report.resolve" : "report.dismiss",
+          targetType: "report",
+          targetId: report._id,
+          reason: note,
+          details: { targetType: report.targetType, targetId: report.targetId },
+        });
+      } catch (error) {
+        console.error("Error recording report decision:", error);
+      }
+
+      res.json({ report });
+    } catch (error) {
+      console.error("Error closing report:", error);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+// Search all accounts
+// Query: q (name or email), role, status (account status), page, limit
+app.get("/admin/users", authenticate, authorize(), async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+
+    const filter = {};
+    if (role) filter.role = listFilter(role);
+    if (status) filter.accountStatus = listFilter(status);
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: "i" };
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+      ];
+    }
+
+    const pagination = parsePagination(req.query);
+    const [users, total] = await Promise.all([
+      FormDataModel.find(filter)
+        .select("-password")
+        .sort({ _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      FormDataModel.countDocuments(filter),
+    ]);
+
+    res.json({ users, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
+    }
+    console.error("Error searching users:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+const ACCOUNT_ACTIONS = {
+  suspend: "suspended",
+  ban: "banned",
+  reinstate: "active",
+};
+
+const accountActionSchema = {
+  reason: { type: "string", required: true, max: 500 },
+  until: { type: "date" }, // required to suspend
+};
+
+// Suspend (until a date), ban or reinstate an account. Suspending or banning
+// ends all of the user's sessions and disconnects their sockets.
+app.put(
+  "/admin/users/:userId/:action(suspend|ban|reinstate)",
+  authenticate,
+  authorize(),
+  validate(accountActionSchema),
+  async (req, res) => {
+    try {
+      const { userId, action } = req.params;
+      const { reason, until } = req.body;
+      const accountStatus = ACCOUNT_ACTIONS[action];
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return sendError(res, 400, "Invalid user ID");
+      }
+      if (action === "suspend" && !(until > new Date())) {
+        return sendError(res, 400, "Validation failed", [
+          { field: "until", message: "until must be a date in the future" },
+        ]);
+      }
+
+      const user = await FormDataModel.findOne({ userId }).select("role");
+      if (!user) return sendError(res, 404, "User not found");
+      if (user.role === "Admin") {
+        return sendError(res, 403, "Admin accounts cannot be moderated");
+      }
+
+      const suspendedUntil = action === "suspend" ? until : null;
+      await FormDataModel.updateOne(
+        { _id: user._id },
+        { accountStatus, suspendedUntil }
+      );
+
+      if (accountStatus !== "active") {
+        await revokeSession({ userId }, accountStatus);
+        req.app.get("io").in(userRoom(userId)).disconnectSockets(true);
+      }
+
+      // The status has changed already, so failures here are only logged
+      try {
+        if (accountStatus !== "active") {
+          await resolveReports(req, "user", userId, `Account ${accountStatus}`);
+        }
+        await recordAudit(req, {
+          action: `user.${action}`,
+          targetType: "user",
+          targetId: userId,
+          reason,
+          details: suspendedUntil ? { until: suspendedUntil } : {},
+        });
+      } catch (error) {
+        console.error("Error recording account action:", error);
+      }
+
+      res.json({
+        message: `Account ${accountStatus}`,
+        user: { userId, accountStatus, suspendedUntil },
+      });
+    } catch (error) {
+      console.error("Error changing account status:", error);
+      sendError(res, 500, "Server error");
+    }
+  }
+);
+
+// Audit log, newest first
+// Query: actorId, action, targetType, targetId, from/to (createdAt), page,
+// limit
+app.get("/admin/audit-log", authenticate, authorize(), async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, from, to } = req.query;
+
+    const filter = {};
+    if (actorId) filter.actorId = String(actorId);
+    if (action) filter.action = listFilter(action);
+    if (targetType) filter.targetType = listFilter(targetType);
+    if (targetId) filter.targetId = String(targetId);
+    const createdAt = rangeFilter(from, to, (value) => new Date(value));
+    if (createdAt) filter.createdAt = createdAt;
+
+    const pagination = parsePagination(req.query);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ entries, pagination: paginationInfo(pagination, total) });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendError(res, 400, error.message);
+    }
+    console.error("Error fetching audit log:", error);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.use(errorHandler);
+
+// Background jobs
+const overdueRentalJob = createOverdueRentalJob({
+  io,
+  intervalMs: Number(process.env.OVERDUE_CHECK_INTERVAL_MS) || undefined,
+});
+overdueRentalJob.start();
+
 // Server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
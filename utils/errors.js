@@ -0,0 +1,75 @@
+const multer = require("multer");
+const mongoose = require("mongoose");
+
+// Every error response has the shape
+//   { success: false, message: "...", errors: [{ field, message }] }
+// where `errors` lists individual field problems (empty when there are none).
+
+class ApiError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const sendError = (res, status, message, errors = []) =>
+  res.status(status).json({ success: false, message, errors });
+
+// Final Express error handler: turns known error types into the envelope
+// above and hides everything else behind a 500. Express recognises error
+// handlers by their four parameters, so `next` has to stay.
+const errorHandler = (error, req, res, next) => {
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.message, error.errors);
+  }
+
+  if (error instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: "File is too large",
+      LIMIT_FILE_COUNT: "Too many files",
+      LIMIT_UNEXPECTED_FILE: "Too many files or unexpected file field",
+    };
+    const message = messages[error.code] || error.message;
+    return sendError(res, 400, message, [
+      { field: error.field || "file", message },
+    ]);
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return sendError(
+      res,
+      400,
+      "Validation failed",
+      Object.values(error.errors).map((fieldError) => ({
+        field: fieldError.path,
+        message: fieldError.message,
+      }))
+    );
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return sendError(res, 400, `Invalid ${error.path}`, [
+      { field: error.path, message: `Invalid ${error.path}` },
+    ]);
+  }
+
+  // Duplicate key, e.g. an email that is already registered
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || {})[0] || "unknown";
+    return sendError(res, 409, `${field} is already in use`, [
+      { field, message: `${field} is already in use` },
+    ]);
+  }
+
+  // Malformed JSON body
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "Malformed JSON body");
+  }
+
+  console.error("Unhandled error:", error);
+  sendError(res, 500, "Server error");
+};
+
+module.exports = { ApiError, sendError, errorHandler };
@@ -0,0 +1,87 @@
+// Minimal RFC 5545 (iCalendar) writer for events
+
+const PRODID = "-//render_deploy_project0//Events//EN";
+// Events only store a start time; calendars get this length
+const DEFAULT_DURATION = "PT2H";
+const MAX_LINE_OCTETS = 75;
+
+// YYYYMMDDTHHMMSSZ in UTC
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Split lines longer than 75 octets; continuation lines start with a space.
+// Never cuts a multi-byte character in half.
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// UIDs only depend on the event id, so an edited event replaces the copy
+// already in a subscriber's calendar instead of duplicating it
+const eventUid = (event, domain) => `event-${event._id}@${domain}`;
+
+const eventLines = (event, { domain, now = new Date() }) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event, domain)}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(event.date)}`,
+    `DURATION:${DEFAULT_DURATION}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `SUMMARY:${escapeText(event.name)}`,
+    `DESCRIPTION:${escapeText(
+      [event.description, event.host && `Host: ${event.host}`]
+        .filter(Boolean)
+        .join("\n\n")
+    )}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `CATEGORIES:${escapeText(event.genre)}`,
+  ];
+  if (event.updatedAt)
+    lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  if (event.link) lines.push(`URL:${event.link}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// A VCALENDAR document for the events, with CRLF line endings. `domain`
+// qualifies the UIDs and must not change between requests.
+const buildCalendar = (events, { name, ...options }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach((event) => lines.push(...eventLines(event, options)));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = { buildCalendar };
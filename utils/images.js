@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const { getStorage } = require("./storage");
+
+// Longest side of each generated size; smaller images are never enlarged
+const IMAGE_SIZES = { large: 1600, medium: 800, thumb: 320 };
+
+// Processed uploads are stored as "<uuid>-<size>.webp". Records keep the
+// large name; the other sizes are derived from it.
+const PROCESSED_NAME = /^([0-9a-f-]{36})-large\.webp$/;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+const SIGNATURES = {
+  jpeg: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  png: (buffer) =>
+    startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  gif: (buffer) =>
+    startsWith(buffer, Buffer.from("GIF87a")) ||
+    startsWith(buffer, Buffer.from("GIF89a")),
+  webp: (buffer) =>
+    startsWith(buffer, Buffer.from("RIFF")) &&
+    startsWith(buffer, Buffer.from("WEBP"), 8),
+};
+
+// Image type from the file's leading bytes (not its name or the declared
+// mimetype), or null when it is not a format we accept
+const detectImageType = (buffer) =>
+  Object.keys(SIGNATURES).find((type) => SIGNATURES[type](buffer)) ?? null;
+
+// Every file stored for an upload. Files from before processing existed
+// only have the original.
+const storedFilenames = (filename) => {
+  const match = PROCESSED_NAME.exec(path.basename(filename));
+  if (!match) return [path.basename(filename)];
+  return Object.keys(IMAGE_SIZES).map((size) => `${match[1]}-${size}.webp`);
+};
+
+// { large, medium, thumb } URLs of a stored upload
+const imageUrls = (filename) => {
+  if (!filename) return null;
+  const match = PROCESSED_NAME.exec(filename);
+  const storage = getStorage();
+  return Object.fromEntries(
+    Object.keys(IMAGE_SIZES).map((size) => [
+      size,
+      storage.url(match ? `${match[1]}-${size}.webp` : filename),
+    ])
+  );
+};
+
+// Delete uploads (with all their sizes). Failures are only logged.
+const removeUploadedFiles = (filenames) => {
+  const storage = getStorage();
+  return Promise.all(
+    filenames
+      .filter(Boolean)
+      .flatMap(storedFilenames)
+      .map((filename) =>
+        storage.remove(filename).catch((error) => {
+          console.error(`Could not delete upload ${filename}:`, error);
+        })
+      )
+  );
+};
+
+// Whether sharp can decode the buffer at all
+const isDecodable = (buffer) =>
+  sharp(buffer)
+    .metadata()
+    .then(() => true)
+    .catch(() => false);
+
+// Re-encode an image into every size under a fresh random name and put them
+// in the configured storage. EXIF
+// orientation is applied first; the output carries no metadata (EXIF, GPS,
+// ...), since sharp drops it unless asked to keep it. Resolves to the name to
+// store on the record.
+const storeImage = async (buffer) => {
+  const id = crypto.randomUUID();
+  const written = [];
+  try {
+    for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+      const filename = `${id}-${size}.webp`;
+      const output = await sharp(buffer, { animated: true })
+        .rotate()
+        .resize(maxSide, maxSide, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      await getStorage().put(filename, output, { contentType: "image/webp" });
+      written.push(filename);
+    }
+  } catch (error) {
+    await removeUploadedFiles(written);
+    throw error;
+  }
+  return `${id}-large.webp`;
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  storedFilenames,
+  detectImageType,
+  isDecodable,
+  imageUrls,
+  storeImage,
+  removeUploadedFiles,
+};
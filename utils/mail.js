@@ -0,0 +1,57 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// A transport is any object with `send(message)` returning a promise, where
+// message is { from, to, subject, text, html }. Pick one with MAIL_TRANSPORT
+// or install your own with setMailTransport().
+const transports = {
+  // Print mails to the server log. Bodies carry verification and reset
+  // links, so they are only printed when NODE_ENV is "development".
+  console: ({ showBody = process.env.NODE_ENV === "development" } = {}) => ({
+    async send(message) {
+      console.log(
+        `[mail] to=${message.to} subject="${message.subject}"${
+          showBody ? `\n${message.text}` : ""
+        }`
+      );
+    },
+  }),
+
+  // Write each mail as a JSON file into MAIL_OUTBOX_DIR
+  file: ({ dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox" } = {}) => ({
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
+      await fs.writeFile(
+        path.join(dir, name),
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+    },
+  }),
+};
+
+let activeTransport = null;
+
+const createMailTransport = (name, options) => {
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+  return factory(options);
+};
+
+const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = (message) => {
+  if (!activeTransport) {
+    activeTransport = createMailTransport(
+      process.env.MAIL_TRANSPORT || "console"
+    );
+  }
+  return activeTransport.send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    ...message,
+  });
+};
+
+module.exports = { createMailTransport, setMailTransport, sendMail };
@@ -0,0 +1,29 @@
+const AuditLog = require("../models/AuditLogModel");
+const Report = require("../models/ReportModel");
+
+// Write an audit log entry for an action taken by the admin behind `req`
+const recordAudit = (req, { action, targetType, targetId, reason, details }) =>
+  AuditLog.create({
+    actorId: req.userId,
+    action,
+    targetType,
+    targetId: String(targetId),
+    reason,
+    details,
+  });
+
+// Close every open report about a target. Resolves to the number closed.
+const resolveReports = async (req, targetType, targetId, note) => {
+  const result = await Report.updateMany(
+    { targetType, targetId: String(targetId), status: "open" },
+    {
+      status: "resolved",
+      resolvedBy: req.userId,
+      resolvedAt: new Date(),
+      resolutionNote: note,
+    }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = { recordAudit, resolveReports };
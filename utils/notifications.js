@@ -0,0 +1,25 @@
+const Notification = require("../models/NotificationModel");
+const FormDataModel = require("../models/FormData");
+const { userRoom } = require("./rooms");
+
+// Store a notification and push it to the recipient's socket room. Resolves
+// to null without storing anything when the recipient muted this type.
+const notifyUser = async (io, userId, { type, message, data = {} }) => {
+  const recipient = await FormDataModel.findOne({ userId }).select(
+    "mutedNotificationTypes"
+  );
+  if (recipient?.mutedNotificationTypes?.includes(type)) return null;
+
+  const notification = await Notification.create({
+    userId,
+    type,
+    message,
+    data,
+  });
+
+  if (io) io.to(userRoom(userId)).emit("notification", notification);
+
+  return notification;
+};
+
+module.exports = { notifyUser };
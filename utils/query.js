@@ -0,0 +1,73 @@
+// Helpers for list endpoints that accept query-string filters
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// ?page=1&limit=20 -> { page, limit, skip }
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+// ?sort=-date -> { date: -1, _id: -1 }. `allowed` maps public names to
+// document paths; unknown keys fall back to `fallback`.
+const parseSort = (value, allowed, fallback) => {
+  const raw = String(value || "");
+  const desc = raw.startsWith("-");
+  const field = allowed[desc ? raw.slice(1) : raw];
+  const sort = field ? { [field]: desc ? -1 : 1 } : { ...fallback };
+  // Tie-break on _id so pages are stable
+  if (!("_id" in sort)) sort._id = -1;
+  return sort;
+};
+
+// "a,b" -> { $in: ["a", "b"] }, "a" -> "a". Throws on a list with no
+// values (e.g. "," or " ") instead of silently dropping the filter.
+const listFilter = (value) => {
+  const items = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  if (!items.length) throw new RangeError(`Empty list filter: "${value}"`);
+  return items.length > 1 ? { $in: items } : items[0];
+};
+
+// Range filter from optional min/max values; `parse` converts each bound
+// and returns NaN for invalid input. Returns undefined when neither is set,
+// throws on invalid bounds.
+const rangeFilter = (min, max, parse) => {
+  const range = {};
+  for (const [op, raw] of [
+    ["$gte", min],
+    ["$lte", max],
+  ]) {
+    if (raw === undefined || raw === "") continue;
+    const parsed = parse(raw);
+    if (isNaN(parsed)) throw new RangeError(`Invalid range value: ${raw}`);
+    range[op] = parsed;
+  }
+  return Object.keys(range).length ? range : undefined;
+};
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  parsePagination,
+  paginationInfo,
+  parseSort,
+  listFilter,
+  rangeFilter,
+  escapeRegex,
+};
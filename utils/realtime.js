@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const { resolveAccessToken } = require("../middleware/auth");
+const { FEED_ROOM, userRoom, eventRoom, instrumentRoom } = require("./rooms");
+
+const SUBSCRIBABLE_ROOMS = { event: eventRoom, instrument: instrumentRoom };
+
+// Room named by a client's { type, id } payload, or null when the payload is
+// malformed. Clients send anything, so check every part of it.
+const requestedRoom = (payload) => {
+  const { type, id } = payload || {};
+  if (typeof type !== "string" || typeof id !== "string") return null;
+  if (!Object.hasOwn(SUBSCRIBABLE_ROOMS, type)) return null;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return SUBSCRIBABLE_ROOMS[type](id);
+};
+
+// userId -> number of open sockets. Kept in memory, so presence only covers
+// clients connected to this process.
+const onlineUsers = new Map();
+
+const getOnlineUserIds = () => [...onlineUsers.keys()];
+
+const isOnline = (userId) => onlineUsers.has(String(userId));
+
+// Authenticate every connection with the access token from
+// `io({ auth: { token } })` and wire up rooms and presence
+const setupRealtime = (io) => {
+  io.use(async (socket, next) => {
+    try {
+      const { token } = socket.handshake.auth || {};
+      const { user } = await resolveAccessToken(token);
+      socket.data.userId = String(user.userId);
+      next();
+    } catch (error) {
+      next(new Error(error.message || "Unauthorized"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    const { userId } = socket.data;
+
+    socket.join(FEED_ROOM);
+    socket.join(userRoom(userId));
+
+    const connections = (onlineUsers.get(userId) || 0) + 1;
+    onlineUsers.set(userId, connections);
+    if (connections === 1) io.emit("presence:online", { userId });
+
+    // { type: "event" | "instrument", id }
+    socket.on("subscribe", (payload, ack) => {
+      const room = requestedRoom(payload);
+      if (room) socket.join(room);
+      if (typeof ack === "function") ack({ success: !!room });
+    });
+
+    socket.on("unsubscribe", (payload, ack) => {
+      const room = requestedRoom(payload);
+      if (room) socket.leave(room);
+      if (typeof ack === "function") ack({ success: !!room });
+    });
+
+    socket.on("presence:list", (ack) => {
+      if (typeof ack === "function") ack(getOnlineUserIds());
+    });
+
+    socket.on("disconnect", () => {
+      const remaining = (onlineUsers.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        onlineUsers.set(userId, remaining);
+      } else {
+        onlineUsers.delete(userId);
+        io.emit("presence:offline", { userId });
+      }
+    });
+  });
+};
+
+module.exports = { setupRealtime, getOnlineUserIds, isOnline };
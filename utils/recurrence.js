@@ -0,0 +1,60 @@
+// Expansion of event series recurrence rules into occurrence dates
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const MAX_OCCURRENCES = 100;
+const MAX_SERIES_SPAN_MS = 2 * 365 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day (UTC) of a date, used to match exceptions
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// The n-th candidate after `start`, or null when that month has no such day
+// (a series on the 31st skips shorter months)
+const nthDate = (start, frequency, n) => {
+  if (frequency === "daily") return new Date(start.getTime() + n * DAY_MS);
+  if (frequency === "weekly") {
+    return new Date(start.getTime() + n * 7 * DAY_MS);
+  }
+
+  const date = new Date(start);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + n);
+  date.setUTCDate(start.getUTCDate());
+  return date.getUTCDate() === start.getUTCDate() ? date : null;
+};
+
+// Occurrence dates of a series starting at `start` (the first occurrence).
+// `rule` is { frequency, interval, until, count, exceptions, removed }, where
+// days in exceptions or removed are skipped; at least one of
+// until/count bounds it, and every series stops after MAX_OCCURRENCES or
+// MAX_SERIES_SPAN_MS. `count` counts occurrences before exceptions are
+// removed, as in RFC 5545.
+const expandRecurrence = (start, rule) => {
+  const {
+    frequency,
+    interval = 1,
+    until,
+    count,
+    exceptions = [],
+    removed = [],
+  } = rule;
+  const skipped = new Set([...exceptions, ...removed].map(dayKey));
+  const limit = Math.min(
+    until ? new Date(until).getTime() : Infinity,
+    start.getTime() + MAX_SERIES_SPAN_MS
+  );
+  const maxCandidates = Math.min(count || Infinity, MAX_OCCURRENCES);
+
+  const dates = [];
+  let candidates = 0;
+  for (let n = 0; candidates < maxCandidates; n += interval) {
+    const date = nthDate(start, frequency, n);
+    if (!date) continue;
+    if (date.getTime() > limit) break;
+    candidates += 1;
+    if (!skipped.has(dayKey(date))) dates.push(date);
+  }
+  return dates;
+};
+
+module.exports = { FREQUENCIES, MAX_OCCURRENCES, dayKey, expandRecurrence };
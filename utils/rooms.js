@@ -0,0 +1,49 @@
+// Socket.IO room names and broadcasts. Sockets join them in utils/realtime;
+// this module does not load the auth middleware, so jobs can emit too.
+//
+//   feed                everyone, receives post updates
+//   user:<userId>       one user's private channel (all their sockets)
+//   event:<eventId>     clients looking at an event
+//   instrument:<id>     clients looking at an instrument
+const FEED_ROOM = "feed";
+const userRoom = (userId) => `user:${userId}`;
+const eventRoom = (eventId) => `event:${eventId}`;
+const instrumentRoom = (instrumentId) => `instrument:${instrumentId}`;
+
+// Tell both parties and everyone watching the instrument that a rental changed
+const broadcastRentalChange = (io, rental) => {
+  if (!io || !rental) return;
+  const instrumentId = rental.instrumentId?._id || rental.instrumentId;
+
+  io.to(userRoom(rental.ownerId))
+    .to(userRoom(rental.renterId))
+    .emit("rentalUpdated", rental);
+  io.to(instrumentRoom(instrumentId)).emit("instrumentAvailabilityChanged", {
+    instrumentId,
+    rentalId: rental._id,
+    status: rental.status,
+    startDate: rental.startDate,
+    endDate: rental.endDate,
+  });
+};
+
+// Tell everyone watching an event about its current attendance
+const broadcastRsvpChange = (io, event) => {
+  if (!io || !event) return;
+  io.to(eventRoom(event._id)).emit("eventRsvpUpdated", {
+    eventId: event._id,
+    slots: event.slots,
+    bookedCount: event.bookeduser.length,
+    waitlistCount: event.waitlist.length,
+    remainingSlots: Math.max(event.slots - event.bookeduser.length, 0),
+  });
+};
+
+module.exports = {
+  FEED_ROOM,
+  userRoom,
+  eventRoom,
+  instrumentRoom,
+  broadcastRentalChange,
+  broadcastRsvpChange,
+};
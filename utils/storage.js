@@ -0,0 +1,124 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Where uploaded files live. A driver is an object with
+//   put(key, body, { contentType })   store a Buffer under key
+//   remove(key)                       delete, resolving even if it is gone
+//   url(key)                          URL clients load the file from
+//   signedUrl(key, { expiresIn })     resolve to a time-limited URL (seconds)
+// Keys are plain file names. Pick a driver with STORAGE_DRIVER or install
+// your own with setStorage().
+const drivers = {
+  // Files in a local directory, served by express.static under /uploads.
+  // They are public, so signed URLs are just the plain URL.
+  local: ({ dir = process.env.UPLOAD_DIR || "uploads" } = {}) => {
+    const filePath = (key) => path.join(dir, path.basename(key));
+    return {
+      name: "local",
+      dir,
+      async put(key, body) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(filePath(key), body);
+      },
+      async remove(key) {
+        await fs.unlink(filePath(key)).catch((error) => {
+          if (error.code !== "ENOENT") throw error;
+        });
+      },
+      url: (key) => `/uploads/${encodeURIComponent(key)}`,
+      async signedUrl(key) {
+        return this.url(key);
+      },
+    };
+  },
+
+  // Any S3-compatible service. S3_ENDPOINT and S3_FORCE_PATH_STYLE=true point
+  // it at MinIO or another stand-in. With S3_PUBLIC_URL (a CDN or public
+  // bucket) file URLs go straight there; otherwise they go through
+  // GET /files/:key, which redirects to a signed URL.
+  s3: ({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || "us-east-1",
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL,
+  } = {}) => {
+    if (!bucket) throw new Error("S3_BUCKET environment variable is not set");
+
+    // Loaded lazily so the local driver works without the AWS SDK
+    const {
+      S3Client,
+      PutObjectCommand,
+      DeleteObjectCommand,
+      GetObjectCommand,
+    } = require("@aws-sdk/client-s3");
+    const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+    const client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials:
+        accessKeyId && secretAccessKey
+          ? { accessKeyId, secretAccessKey }
+          : undefined,
+    });
+
+    return {
+      name: "s3",
+      bucket,
+      client,
+      async put(key, body, { contentType } = {}) {
+        await client.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            // Keys are never reused, see utils/images
+            CacheControl: "public, max-age=31536000, immutable",
+          })
+        );
+      },
+      async remove(key) {
+        // S3 reports success for keys that do not exist
+        await client.send(
+          new DeleteObjectCommand({ Bucket: bucket, Key: key })
+        );
+      },
+      url: (key) =>
+        publicUrl
+          ? `${publicUrl.replace(/\/$/, "")}/${encodeURIComponent(key)}`
+          : `/files/${encodeURIComponent(key)}`,
+      signedUrl: (key, { expiresIn = 15 * 60 } = {}) =>
+        getSignedUrl(
+          client,
+          new GetObjectCommand({ Bucket: bucket, Key: key }),
+          { expiresIn }
+        ),
+    };
+  },
+};
+
+let activeStorage = null;
+
+const createStorage = (name, options) => {
+  const factory = drivers[name];
+  if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+  return factory(options);
+};
+
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+const getStorage = () => {
+  if (!activeStorage) {
+    activeStorage = createStorage(process.env.STORAGE_DRIVER || "local");
+  }
+  return activeStorage;
+};
+
+module.exports = { createStorage, setStorage, getStorage };
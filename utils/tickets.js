@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const Ticket = require("../models/TicketModel");
+
+// Ticket codes are "<ticketId>.<signature>", so a forged or mistyped code is
+// rejected before touching the database
+const TICKET_SECRET = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+const sign = (ticketId) =>
+  crypto
+    .createHmac("sha256", TICKET_SECRET)
+    .update(`ticket:${ticketId}`)
+    .digest("base64url");
+
+const ticketCode = (ticket) => `${ticket._id}.${sign(ticket._id)}`;
+
+// Resolve a scanned code to its ticket id, or null when the signature is bad
+const verifyTicketCode = (code) => {
+  const [ticketId, signature] = String(code || "").split(".");
+  if (!ticketId || !signature) return null;
+
+  const expected = Buffer.from(sign(ticketId));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length) return null;
+  return crypto.timingSafeEqual(given, expected) ? ticketId : null;
+};
+
+// Issue (or revalidate) the ticket of a confirmed attendee. `user` is the
+// FormDataModel document. A ticket that was already checked in is kept as is.
+const issueTicket = async (eventId, user) => {
+  const userId = String(user.userId);
+  try {
+    return await Ticket.findOneAndUpdate(
+      { eventId, userId, status: { $ne: "checked_in" } },
+      { $set: { status: "valid", attendee: user._id } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collided with a checked-in ticket (or a concurrent insert)
+    if (error.code === 11000) return Ticket.findOne({ eventId, userId });
+    throw error;
+  }
+};
+
+const voidTicket = (eventId, userId) =>
+  Ticket.updateOne(
+    { eventId, userId: String(userId), status: "valid" },
+    { status: "void" }
+  );
+
+// The ticket with its code and the code rendered as a PNG data URL
+const renderTicket = async (ticket) => {
+  const code = ticketCode(ticket);
+  return {
+    ...ticket.toObject(),
+    code,
+    qrCode: await QRCode.toDataURL(code),
+  };
+};
+
+module.exports = { issueTicket, voidTicket, verifyTicketCode, renderTicket };
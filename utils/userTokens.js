@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserTokenModel");
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000,
+};
+
+// Tokens are stored hashed so a database leak does not expose usable ones
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a new token, invalidating any unused ones for the same purpose.
+// Resolves to the plain token, which is only ever sent to the user.
+const issueUserToken = async (userId, purpose) => {
+  const now = new Date();
+  await UserToken.updateMany(
+    { userId: String(userId), purpose, usedAt: null },
+    { usedAt: now }
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    userId: String(userId),
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+};
+
+// Mark a token used and resolve to its document, or null when the token is
+// unknown, expired or already used
+const consumeUserToken = (token, purpose) => {
+  if (!token) return Promise.resolve(null);
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+module.exports = { hashToken, issueUserToken, consumeUserToken };